@@ -1,22 +1,45 @@
+import {
+    SEARCH_INDEX_VERSION, createSearchIndex, addToSearchIndex, removeFromSearchIndex
+} from './search-index.js';
+import {
+    TAGS_SCHEMA_VERSION, mergeTags, migrateUrlKeyedTags, pruneOrphanedTags, renameTags, deleteTags
+} from './tags.js';
+import { LINK_CHECK_PERMISSION, checkLink, isCheckableUrl } from './link-checker.js';
+import { loadCurrentData, planBackupImport } from './backup.js';
+
+/**
+ * Creates the cache entry for a single bookmark node.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node The bookmark node.
+ * @param {Array<string>} path The folder names leading to the bookmark.
+ * @returns {object} The cache entry, keyed by the node's id and parentId.
+ */
+function createCacheEntry(node, path) {
+    return {
+        id: node.id,
+        parentId: node.parentId,
+        title: node.title,
+        url: node.url,
+        path: path.join(' / '),
+        visitCount: 0,
+        lastVisitTime: 0,
+        historyIndexed: false
+    };
+}
+
 /**
  * Flattens the Chrome bookmark tree into a simple array of bookmark objects,
  * including the full folder path for each bookmark.
  * @param {Array} bookmarkTreeNodes The bookmark tree nodes from chrome.bookmarks.getTree.
- * @returns {Array} A flattened array of bookmark objects with titles, URLs, and paths.
+ * @param {Array<string>} [basePath] The folder path of the nodes' parent, when flattening a subtree.
+ * @returns {Array} A flattened array of bookmark objects with ids, titles, URLs, and paths.
  */
-function flattenBookmarks(bookmarkTreeNodes) {
+function flattenBookmarks(bookmarkTreeNodes, basePath = []) {
     const bookmarks = [];
 
     function traverse(nodes, path) {
         for (const node of nodes) {
             if (node.url) {
-                bookmarks.push({
-                    title: node.title,
-                    url: node.url,
-                    path: path.join(' / '),
-                    visitCount: 0,
-                    lastVisitTime: 0
-                });
+                bookmarks.push(createCacheEntry(node, path));
             }
             if (node.children) {
                 const newPath = node.title && node.parentId !== '0' ? [...path, node.title] : path;
@@ -24,44 +47,217 @@ function flattenBookmarks(bookmarkTreeNodes) {
             }
         }
     }
-    traverse(bookmarkTreeNodes, []);
+    traverse(bookmarkTreeNodes, basePath);
     return bookmarks;
 }
 
 /**
- * Iterates through a list of bookmarks and adds visitCount and lastVisitTime from the History API.
- * This is an expensive operation and should only be run once during initial setup.
- * @param {Array} bookmarks The array of bookmark objects to enrich.
- * @returns {Promise<Array>} The enriched array of bookmarks.
+ * Looks up the visit count and last visit time of a URL in the History API.
+ * @param {string} url The URL to look up.
+ * @returns {Promise<{visitCount: number, lastVisitTime: number}>} The visit data.
  */
-async function populateHistoryDataForBookmarks(bookmarks) {
-    for (const bookmark of bookmarks) {
-        if (bookmark.visitCount > 0) continue;
+async function getVisitData(url) {
+    const historyItems = await new Promise(resolve => {
+        chrome.history.getVisits({ url }, resolve);
+    });
 
-        const historyItems = await new Promise(resolve => {
-            chrome.history.getVisits({ url: bookmark.url }, resolve);
-        });
+    if (historyItems && historyItems.length > 0) {
+        return { visitCount: historyItems.length, lastVisitTime: historyItems[0].visitTime };
+    }
+    return { visitCount: 0, lastVisitTime: 0 };
+}
+
+/**
+ * Copies visit data onto a cache entry and marks its history as indexed.
+ * @param {object} bookmark The cache entry to update.
+ * @param {{visitCount: number, lastVisitTime: number}} visitData The data from getVisitData.
+ */
+function applyVisitData(bookmark, visitData) {
+    bookmark.visitCount = visitData.visitCount;
+    bookmark.lastVisitTime = visitData.lastVisitTime;
+    bookmark.historyIndexed = true;
+}
+
+// --- Cache Updates ---
+let cacheQueue = Promise.resolve();
 
-        if (historyItems && historyItems.length > 0) {
-            bookmark.visitCount = historyItems.length;
-            bookmark.lastVisitTime = historyItems[0].visitTime;
+/**
+ * Returns true if a change to a cached bookmark affects what the search index holds for it.
+ */
+function isIndexedFieldChanged(previous, bookmark) {
+    return previous.title !== bookmark.title || previous.url !== bookmark.url || previous.path !== bookmark.path;
+}
+
+/**
+ * Brings the search index in line with a change to the cached bookmarks.
+ * @param {object} searchIndex The index to update in place.
+ * @param {Map<string, object>} previousEntries The indexed fields of each bookmark before the change, by ID.
+ * @param {Array} cachedBookmarks The cached bookmarks after the change.
+ * @returns {boolean} True if the index changed.
+ */
+function syncSearchIndex(searchIndex, previousEntries, cachedBookmarks) {
+    let changed = false;
+    const remainingIds = new Set();
+
+    for (const bookmark of cachedBookmarks) {
+        remainingIds.add(bookmark.id);
+        const previous = previousEntries.get(bookmark.id);
+        if (previous && !isIndexedFieldChanged(previous, bookmark)) continue;
+
+        if (previous) removeFromSearchIndex(searchIndex, previous);
+        addToSearchIndex(searchIndex, bookmark);
+        changed = true;
+    }
+    for (const [id, previous] of previousEntries) {
+        if (!remainingIds.has(id)) {
+            removeFromSearchIndex(searchIndex, previous);
+            changed = true;
         }
     }
-    return bookmarks;
+    return changed;
+}
+
+/**
+ * Applies a change to the cached bookmarks and keeps the search index in step with it.
+ * Changes are queued so that bursts of bookmark events (e.g. reorganising a folder)
+ * never interleave their read-modify-write cycles on chrome.storage.local.
+ * @param {function(Array): Promise<Array|null>} mutator Receives the cached bookmarks and
+ *     resolves to the array to store, or null if nothing changed.
+ * @returns {Promise<void>} Resolves once the change has been written.
+ */
+function updateCache(mutator) {
+    const run = cacheQueue.then(async () => {
+        const { cachedBookmarks, searchIndex } = await chrome.storage.local.get({ cachedBookmarks: [], searchIndex: null });
+        const previousEntries = new Map(cachedBookmarks.map(({ id, title, url, path }) => [id, { id, title, url, path }]));
+        const updatedBookmarks = await mutator(cachedBookmarks);
+        if (!updatedBookmarks) return;
+
+        if (!searchIndex || searchIndex.version !== SEARCH_INDEX_VERSION) {
+            await chrome.storage.local.set({
+                cachedBookmarks: updatedBookmarks,
+                searchIndex: createSearchIndex(updatedBookmarks)
+            });
+        } else if (syncSearchIndex(searchIndex, previousEntries, updatedBookmarks)) {
+            await chrome.storage.local.set({ cachedBookmarks: updatedBookmarks, searchIndex });
+        } else {
+            await chrome.storage.local.set({ cachedBookmarks: updatedBookmarks });
+        }
+    });
+    cacheQueue = run.catch(error => console.error("Bookmark cache update failed:", error));
+    return cacheQueue;
+}
+
+// --- History Enrichment ---
+const HISTORY_BATCH_SIZE = 200;
+const HISTORY_CONCURRENCY = 8;
+let historyPopulation = null;
+
+/**
+ * Maps over items with at most `limit` promises in flight at a time.
+ * @param {Array} items The items to process.
+ * @param {number} limit The maximum number of concurrent calls.
+ * @param {function(*): Promise<*>} fn The async function to apply to each item.
+ * @returns {Promise<Array>} The results, in the same order as the items.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index]);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Adds visitCount and lastVisitTime from the History API to every cached bookmark
+ * that doesn't have them yet. Bookmarks are enriched in batches and each batch is
+ * written back to the cache as soon as it completes, with progress recorded in
+ * historyIndexProgress. A service worker that gets stopped partway through resumes
+ * from the last written batch the next time it starts.
+ */
+function populateHistoryDataForBookmarks() {
+    if (!historyPopulation) {
+        historyPopulation = runHistoryPopulation().finally(() => {
+            historyPopulation = null;
+        });
+    }
+    return historyPopulation;
+}
+
+/**
+ * Runs the batch loop for populateHistoryDataForBookmarks until no bookmark is pending.
+ */
+async function runHistoryPopulation() {
+    let processedAny = false;
+    while (true) {
+        const { cachedBookmarks } = await chrome.storage.local.get({ cachedBookmarks: [] });
+        const pending = cachedBookmarks.filter(bm => !bm.historyIndexed);
+        if (pending.length === 0) break;
+
+        await chrome.storage.local.set({
+            historyIndexProgress: {
+                indexed: cachedBookmarks.length - pending.length,
+                total: cachedBookmarks.length,
+                complete: false
+            }
+        });
+
+        processedAny = true;
+        const batch = pending.slice(0, HISTORY_BATCH_SIZE);
+        const visitData = await mapWithConcurrency(batch, HISTORY_CONCURRENCY, bm => getVisitData(bm.url));
+        const visitDataById = new Map(batch.map((bm, i) => [bm.id, visitData[i]]));
+
+        await updateCache(async (bookmarks) => {
+            for (const bookmark of bookmarks) {
+                if (!bookmark.historyIndexed && visitDataById.has(bookmark.id)) {
+                    applyVisitData(bookmark, visitDataById.get(bookmark.id));
+                }
+            }
+            return bookmarks;
+        });
+    }
+
+    if (!processedAny) return;
+    const { cachedBookmarks } = await chrome.storage.local.get({ cachedBookmarks: [] });
+    await chrome.storage.local.set({
+        historyIndexProgress: { indexed: cachedBookmarks.length, total: cachedBookmarks.length, complete: true }
+    });
 }
 
 /**
- * Fetches the entire bookmark tree, flattens it, populates its history,
- * and stores it in chrome.storage.local.
+ * Fetches the entire bookmark tree, flattens it, and stores it in chrome.storage.local.
+ * History data and link check results already recorded for a bookmark are carried
+ * over; missing history data is populated in the background afterwards.
  */
 async function buildFullBookmarkCache() {
     console.log("Building full bookmark cache...");
-    chrome.bookmarks.getTree(async (bookmarkTree) => {
-        let flattenedBookmarks = flattenBookmarks(bookmarkTree);
-        // This is the new, expensive step that runs once in the background.
-        flattenedBookmarks = await populateHistoryDataForBookmarks(flattenedBookmarks);
-        await chrome.storage.local.set({ cachedBookmarks: flattenedBookmarks });
-        console.log("Bookmark cache build complete.");
+    await writeFullBookmarkCache();
+    await populateHistoryDataForBookmarks();
+    console.log("Bookmark cache build complete.");
+}
+
+/**
+ * Replaces the cache with the flattened bookmark tree, and updates the search index
+ * to match, without waiting for history data.
+ */
+function writeFullBookmarkCache() {
+    return updateCache(async (cachedBookmarks) => {
+        const bookmarkTree = await new Promise(resolve => chrome.bookmarks.getTree(resolve));
+        const previousEntries = new Map(cachedBookmarks.map(bm => [bm.id, bm]));
+        const flattenedBookmarks = flattenBookmarks(bookmarkTree);
+
+        for (const bookmark of flattenedBookmarks) {
+            const previous = previousEntries.get(bookmark.id);
+            if (!previous || previous.url !== bookmark.url) continue;
+            if (previous.historyIndexed) applyVisitData(bookmark, previous);
+            if (previous.linkStatus) bookmark.linkStatus = previous.linkStatus;
+        }
+        return flattenedBookmarks;
     });
 }
 
@@ -71,28 +267,18 @@ async function buildFullBookmarkCache() {
  * @param {chrome.history.HistoryItem} historyItem The item that was visited.
  */
 async function handleVisit(historyItem) {
-    const { cachedBookmarks } = await chrome.storage.local.get({ cachedBookmarks: [] });
-    let updated = false;
+    await updateCache(async (cachedBookmarks) => {
+        const matchingBookmarks = cachedBookmarks.filter(bm => bm.url === historyItem.url);
+        if (matchingBookmarks.length === 0) return null;
 
-    const matchingBookmarks = cachedBookmarks.filter(bm => bm.url === historyItem.url);
+        const visitData = await getVisitData(historyItem.url);
+        if (visitData.visitCount === 0) return null;
 
-    if (matchingBookmarks.length > 0) {
-        const visitItems = await new Promise(resolve => {
-            chrome.history.getVisits({ url: historyItem.url }, resolve);
-        });
-        
-        if (visitItems && visitItems.length > 0) {
-            for (const bookmark of matchingBookmarks) {
-                bookmark.visitCount = visitItems.length;
-                bookmark.lastVisitTime = visitItems[0].visitTime;
-                updated = true;
-            }
+        for (const bookmark of matchingBookmarks) {
+            applyVisitData(bookmark, visitData);
         }
-    }
-    
-    if (updated) {
-        await chrome.storage.local.set({ cachedBookmarks });
-    }
+        return cachedBookmarks;
+    });
 }
 
 
@@ -119,84 +305,505 @@ async function getFolderPath(folderId) {
     return path;
 }
 
+/**
+ * Recomputes the path and parentId of every cached bookmark below a folder,
+ * keeping their history data. Used after a folder is renamed or moved.
+ * @param {Array} cachedBookmarks The cached bookmarks to update in place.
+ * @param {string} folderId The ID of the folder whose subtree changed.
+ * @returns {Promise<boolean>} True if any cached bookmark was updated.
+ */
+async function refreshSubtreePaths(cachedBookmarks, folderId) {
+    const subTree = await new Promise(resolve => chrome.bookmarks.getSubTree(folderId, resolve));
+    if (chrome.runtime.lastError || !subTree || subTree.length === 0) return false;
+
+    const basePath = await getFolderPath(subTree[0].parentId);
+    const freshEntries = new Map(flattenBookmarks(subTree, basePath).map(entry => [entry.id, entry]));
+
+    let updated = false;
+    for (const bookmark of cachedBookmarks) {
+        const freshEntry = freshEntries.get(bookmark.id);
+        if (freshEntry) {
+            bookmark.parentId = freshEntry.parentId;
+            bookmark.path = freshEntry.path;
+            updated = true;
+        }
+    }
+    return updated;
+}
+
+/**
+ * Collects all bookmarks (not folders) in a node's subtree.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node The root of the subtree.
+ * @param {Array} [nodes] The array to add the bookmarks to.
+ * @returns {Array<chrome.bookmarks.BookmarkTreeNode>} The bookmark nodes.
+ */
+function collectBookmarkNodes(node, nodes = []) {
+    if (node.url) {
+        nodes.push(node);
+    }
+    for (const child of node.children || []) {
+        collectBookmarkNodes(child, nodes);
+    }
+    return nodes;
+}
+
+// --- Tag Maintenance ---
+let tagsQueue = Promise.resolve();
+
+/**
+ * Queues a task that reads and writes the stored tags, so it never interleaves with another.
+ * @param {function(): Promise<void>} task The task.
+ * @returns {Promise<void>} Resolves once the task has finished.
+ */
+function runTagsTask(task) {
+    const run = tagsQueue.then(task);
+    tagsQueue = run.catch(error => console.error("Tag update failed:", error));
+    return tagsQueue;
+}
+
+/**
+ * Applies a change to bookmarkTags and orphanedTags, dropping expired orphans on the way.
+ * @param {function(object, object): boolean} mutator Updates the two objects in place and
+ *     returns true if it changed anything.
+ * @returns {Promise<void>} Resolves once the change has been written.
+ */
+function updateTags(mutator) {
+    return runTagsTask(async () => {
+        const { bookmarkTags, orphanedTags } = await chrome.storage.local.get({ bookmarkTags: {}, orphanedTags: {} });
+        const changed = mutator(bookmarkTags, orphanedTags);
+        if (pruneOrphanedTags(orphanedTags) || changed) {
+            await chrome.storage.local.set({ bookmarkTags, orphanedTags });
+        }
+    });
+}
+
+/**
+ * Converts tags saved before they were keyed by bookmark ID. Runs once; the schema
+ * version is written together with the converted tags.
+ */
+function migrateTagsIfNeeded() {
+    return runTagsTask(async () => {
+        const { tagsSchemaVersion, bookmarkTags, orphanedTags } = await chrome.storage.local.get({
+            tagsSchemaVersion: 1, bookmarkTags: {}, orphanedTags: {}
+        });
+        if (tagsSchemaVersion >= TAGS_SCHEMA_VERSION) return;
+
+        const migrated = await migrateUrlKeyedTags(bookmarkTags);
+        await chrome.storage.local.set({
+            bookmarkTags: migrated.bookmarkTags,
+            orphanedTags: { ...orphanedTags, ...migrated.orphanedTags },
+            tagsSchemaVersion: TAGS_SCHEMA_VERSION
+        });
+        console.log("Migrated bookmark tags to bookmark IDs.");
+    });
+}
+
+/**
+ * Gives a bookmark the tags of a deleted bookmark with the same URL, if there are any.
+ * This is what brings tags back when a deletion is undone.
+ * @param {string} id The bookmark ID.
+ * @param {string} url The bookmark's URL.
+ */
+function reattachOrphanedTags(id, url) {
+    return updateTags((bookmarkTags, orphanedTags) => {
+        if (!Object.hasOwn(orphanedTags, url)) return false;
+        bookmarkTags[id] = mergeTags(bookmarkTags[id] || [], orphanedTags[url].tags);
+        delete orphanedTags[url];
+        return true;
+    });
+}
+
+/**
+ * Moves the tags of deleted bookmarks to orphanedTags.
+ * @param {Array<chrome.bookmarks.BookmarkTreeNode>} removedNodes The deleted bookmarks.
+ */
+function orphanTags(removedNodes) {
+    return updateTags((bookmarkTags, orphanedTags) => {
+        let changed = false;
+        for (const node of removedNodes) {
+            if (!Object.hasOwn(bookmarkTags, node.id)) continue;
+            const previousTags = Object.hasOwn(orphanedTags, node.url) ? orphanedTags[node.url].tags : [];
+            orphanedTags[node.url] = { tags: mergeTags(previousTags, bookmarkTags[node.id]), removedAt: Date.now() };
+            delete bookmarkTags[node.id];
+            changed = true;
+        }
+        return changed;
+    });
+}
+
+/**
+ * Sets a bookmark's tags on behalf of the popup.
+ * @param {string} id The bookmark ID.
+ * @param {Array<string>} tags The new tags; none removes the entry.
+ */
+function setBookmarkTags(id, tags) {
+    return updateTags((bookmarkTags) => {
+        if (tags.length > 0) bookmarkTags[id] = tags;
+        else delete bookmarkTags[id];
+        return true;
+    });
+}
+
+/**
+ * Applies a tag operation from the tag manager to the tags of bookmarks and of recently
+ * deleted bookmarks, so a restored bookmark doesn't bring back a tag that was renamed
+ * or deleted.
+ * @param {function(object): {tagMap: object, changedCount: number}} operation renameTags or
+ *     deleteTags with its arguments bound.
+ * @returns {Promise<number>} The number of bookmarks that changed.
+ */
+async function applyTagOperation(operation) {
+    let changedCount = 0;
+    await updateTags((bookmarkTags, orphanedTags) => {
+        const bookmarkResult = operation(bookmarkTags);
+        const orphanResult = operation(Object.fromEntries(
+            Object.entries(orphanedTags).map(([url, orphan]) => [url, orphan.tags])
+        ));
+        for (const id of Object.keys(bookmarkTags)) delete bookmarkTags[id];
+        Object.assign(bookmarkTags, bookmarkResult.tagMap);
+        for (const url of Object.keys(orphanedTags)) {
+            if (url in orphanResult.tagMap) orphanedTags[url] = { ...orphanedTags[url], tags: orphanResult.tagMap[url] };
+            else delete orphanedTags[url];
+        }
+        changedCount = bookmarkResult.changedCount;
+        return bookmarkResult.changedCount > 0 || orphanResult.changedCount > 0;
+    });
+    return changedCount;
+}
+
+/**
+ * Moves the tags and notes of merged duplicates onto the bookmarks that are kept, and
+ * drops those of the bookmarks about to be deleted, so they aren't parked as orphans.
+ * @param {object} tagsById Tags to merge into each kept bookmark's existing ones.
+ * @param {object} notesById Notes for kept bookmarks that have none.
+ * @param {Array<string>} removedIds The IDs of the bookmarks that will be deleted.
+ */
+function mergeDuplicates(tagsById, notesById, removedIds) {
+    return Promise.all([
+        updateTags((bookmarkTags) => {
+            for (const [id, tags] of Object.entries(tagsById)) {
+                bookmarkTags[id] = mergeTags(bookmarkTags[id] || [], tags);
+            }
+            removedIds.forEach(id => delete bookmarkTags[id]);
+            return true;
+        }),
+        updateNotes((bookmarkNotes) => {
+            for (const [id, note] of Object.entries(notesById)) {
+                if (!bookmarkNotes[id]) bookmarkNotes[id] = note;
+            }
+            removedIds.forEach(id => delete bookmarkNotes[id]);
+            return true;
+        })
+    ]);
+}
+
+/**
+ * Adds tags and notes to bookmarks on behalf of a page, like a bookmark file import.
+ * They go through the same queue as the worker's own updates, so neither overwrites
+ * the other.
+ * @param {object} tagsById Tags to merge into each bookmark's existing ones.
+ * @param {object} notesById Notes that replace each bookmark's existing one.
+ */
+function addTagsAndNotes(tagsById, notesById) {
+    return Promise.all([
+        updateTags((bookmarkTags) => {
+            for (const [id, tags] of Object.entries(tagsById)) {
+                bookmarkTags[id] = mergeTags(bookmarkTags[id] || [], tags);
+            }
+            return Object.keys(tagsById).length > 0;
+        }),
+        updateNotes((bookmarkNotes) => {
+            Object.assign(bookmarkNotes, notesById);
+            return Object.keys(notesById).length > 0;
+        })
+    ]);
+}
+
+/**
+ * Imports a backup on behalf of the options page. It's planned and saved as one task in
+ * the tags queue, so tags and notes the worker updates meanwhile aren't overwritten.
+ * @param {object} backup A backup from parseBackup.
+ * @param {string} mode One of the BACKUP_IMPORT_MODES keys.
+ * @returns {Promise<object>} The values saved to chrome.storage.sync.
+ */
+async function importBackup(backup, mode) {
+    let saved = null;
+    let failure = null;
+    await runTagsTask(async () => {
+        try {
+            const { sync, local } = planBackupImport(backup, await loadCurrentData(), mode);
+            await chrome.storage.sync.set(sync);
+            await chrome.storage.local.set(local);
+            saved = sync;
+        } catch (error) {
+            failure = error;
+        }
+    });
+    if (failure) throw failure;
+    return saved;
+}
+
+/**
+ * Applies a change to bookmarkNotes and orphanedNotes. Notes of deleted bookmarks are
+ * parked by URL like tags, and expire the same way.
+ * @param {function(object, object): boolean} mutator Updates the two objects in place and
+ *     returns true if it changed anything.
+ * @returns {Promise<void>} Resolves once the change has been written.
+ */
+function updateNotes(mutator) {
+    return runTagsTask(async () => {
+        const { bookmarkNotes, orphanedNotes } = await chrome.storage.local.get({ bookmarkNotes: {}, orphanedNotes: {} });
+        const changed = mutator(bookmarkNotes, orphanedNotes);
+        if (pruneOrphanedTags(orphanedNotes) || changed) {
+            await chrome.storage.local.set({ bookmarkNotes, orphanedNotes });
+        }
+    });
+}
+
+/**
+ * Sets a bookmark's note on behalf of the popup.
+ * @param {string} id The bookmark ID.
+ * @param {string} note The new note; an empty one removes the entry.
+ */
+function setBookmarkNote(id, note) {
+    return updateNotes((bookmarkNotes) => {
+        if (note) bookmarkNotes[id] = note;
+        else delete bookmarkNotes[id];
+        return true;
+    });
+}
+
+/**
+ * Gives a bookmark without a note the note of a deleted bookmark with the same URL.
+ * @param {string} id The bookmark ID.
+ * @param {string} url The bookmark's URL.
+ */
+function reattachOrphanedNote(id, url) {
+    return updateNotes((bookmarkNotes, orphanedNotes) => {
+        if (!Object.hasOwn(orphanedNotes, url)) return false;
+        if (!bookmarkNotes[id]) bookmarkNotes[id] = orphanedNotes[url].note;
+        delete orphanedNotes[url];
+        return true;
+    });
+}
+
+/**
+ * Moves the notes of deleted bookmarks to orphanedNotes.
+ * @param {Array<chrome.bookmarks.BookmarkTreeNode>} removedNodes The deleted bookmarks.
+ */
+function orphanNotes(removedNodes) {
+    return updateNotes((bookmarkNotes, orphanedNotes) => {
+        let changed = false;
+        for (const node of removedNodes) {
+            if (!Object.hasOwn(bookmarkNotes, node.id)) continue;
+            orphanedNotes[node.url] = { note: bookmarkNotes[node.id], removedAt: Date.now() };
+            delete bookmarkNotes[node.id];
+            changed = true;
+        }
+        return changed;
+    });
+}
+
 /**
  * Incrementally adds a newly created bookmark to the local cache.
  */
 async function onBookmarkCreated(id, bookmark) {
     if (!bookmark.url) return;
 
-    const data = await chrome.storage.local.get({ cachedBookmarks: [] });
-    const cachedBookmarks = data.cachedBookmarks;
     const newPathArray = await getFolderPath(bookmark.parentId);
+    const entry = createCacheEntry(bookmark, newPathArray);
+    applyVisitData(entry, await getVisitData(bookmark.url));
 
-    cachedBookmarks.push({
-        title: bookmark.title,
-        url: bookmark.url,
-        path: newPathArray.join(' / '),
-        visitCount: 0,
-        lastVisitTime: 0
+    await updateCache(async (cachedBookmarks) => {
+        if (cachedBookmarks.some(bm => bm.id === id)) return null;
+        cachedBookmarks.push(entry);
+        return cachedBookmarks;
     });
-
-    await chrome.storage.local.set({ cachedBookmarks });
+    await reattachOrphanedTags(id, bookmark.url);
+    await reattachOrphanedNote(id, bookmark.url);
 }
 
 /**
- * Incrementally removes a single bookmark from the local cache.
+ * Incrementally removes a bookmark, or every bookmark inside a removed folder, from the local cache.
+ * Their tags and notes are kept as orphans in case the bookmarks are restored.
  */
 async function onBookmarkRemoved(id, removeInfo) {
-    if (!removeInfo.node.url) {
-        buildFullBookmarkCache();
-        return;
-    }
-
-    const data = await chrome.storage.local.get({ cachedBookmarks: [] });
-    const cachedBookmarks = data.cachedBookmarks;
-    const indexToRemove = cachedBookmarks.findIndex(
-        bm => bm.url === removeInfo.node.url && bm.title === removeInfo.node.title
-    );
+    const removedNodes = collectBookmarkNodes(removeInfo.node);
+    const removedIds = new Set(removedNodes.map(node => node.id));
 
-    if (indexToRemove > -1) {
-        cachedBookmarks.splice(indexToRemove, 1);
-        await chrome.storage.local.set({ cachedBookmarks });
-    }
+    await updateCache(async (cachedBookmarks) => {
+        const remainingBookmarks = cachedBookmarks.filter(bm => !removedIds.has(bm.id) && bm.parentId !== id);
+        return remainingBookmarks.length !== cachedBookmarks.length ? remainingBookmarks : null;
+    });
+    await orphanTags(removedNodes);
+    await orphanNotes(removedNodes);
 }
 
 /**
- * Incrementally updates a bookmark's title in the cache when it's changed.
+ * Incrementally updates a bookmark's title and URL in the cache when it's changed.
+ * Renaming a folder updates the paths of the bookmarks inside it. Tags and notes stay with
+ * the bookmark; if the new URL belonged to a deleted bookmark, its tags and note are reattached.
+ * A new URL drops the link check result, which was about the old one.
  */
 async function onBookmarkChanged(id, changeInfo) {
-    const data = await chrome.storage.local.get({ cachedBookmarks: [] });
-    const cachedBookmarks = data.cachedBookmarks;
-    const [bookmarkNode] = await new Promise(resolve => chrome.bookmarks.get(id, resolve));
+    await updateCache(async (cachedBookmarks) => {
+        const bookmark = cachedBookmarks.find(bm => bm.id === id);
 
-    if (!bookmarkNode || !bookmarkNode.url) return;
-
-    const bookmarksToUpdate = cachedBookmarks.filter(bm => bm.url === bookmarkNode.url);
+        if (!bookmark) {
+            return await refreshSubtreePaths(cachedBookmarks, id) ? cachedBookmarks : null;
+        }
 
-    if (bookmarksToUpdate.length > 0) {
-        for (const bm of bookmarksToUpdate) {
-            bm.title = changeInfo.title;
+        bookmark.title = changeInfo.title;
+        if (changeInfo.url && changeInfo.url !== bookmark.url) {
+            bookmark.url = changeInfo.url;
+            applyVisitData(bookmark, await getVisitData(changeInfo.url));
+            delete bookmark.linkStatus;
         }
-        await chrome.storage.local.set({ cachedBookmarks });
-    } else {
-        buildFullBookmarkCache();
+        return cachedBookmarks;
+    });
+    if (changeInfo.url) {
+        await reattachOrphanedTags(id, changeInfo.url);
+        await reattachOrphanedNote(id, changeInfo.url);
     }
 }
 
 /**
  * Incrementally updates a bookmark's path in the cache when it's moved.
+ * Moving a folder updates the paths of every bookmark inside it.
  */
 async function onBookmarkMoved(id, moveInfo) {
-    const data = await chrome.storage.local.get({ cachedBookmarks: [] });
-    const cachedBookmarks = data.cachedBookmarks;
-    const [bookmarkNode] = await new Promise(resolve => chrome.bookmarks.get(id, resolve));
+    await updateCache(async (cachedBookmarks) => {
+        const bookmark = cachedBookmarks.find(bm => bm.id === id);
+
+        if (!bookmark) {
+            return await refreshSubtreePaths(cachedBookmarks, id) ? cachedBookmarks : null;
+        }
 
-    if (!bookmarkNode || !bookmarkNode.url) {
-        buildFullBookmarkCache();
+        const newPathArray = await getFolderPath(moveInfo.parentId);
+        bookmark.parentId = moveInfo.parentId;
+        bookmark.path = newPathArray.join(' / ');
+        return cachedBookmarks;
+    });
+}
+
+// --- Link Health ---
+const LINK_CHECK_BATCH_SIZE = 20;
+const LINK_CHECK_CONCURRENCY = 4;
+// Pause between batches, so checking a large collection doesn't hammer the network.
+const LINK_CHECK_BATCH_DELAY = 2000;
+let linkCheck = null;
+
+/**
+ * Checks that bookmarked URLs still resolve, storing each result on the cache entry
+ * as linkStatus. Bookmarks are checked in throttled batches, each written back as soon
+ * as it completes, with progress recorded in linkCheckProgress. Like history
+ * enrichment, a run interrupted by the worker stopping resumes when it starts again.
+ * @param {boolean} [restart] Start a new run that rechecks every bookmark. Otherwise
+ *     only an unfinished run is continued.
+ */
+async function checkLinks(restart = false) {
+    if (restart) {
+        // A check that's already running picks up the new run with its next batch.
+        await chrome.storage.local.set({
+            linkCheckProgress: { checked: 0, total: 0, startedAt: Date.now(), complete: false }
+        });
+    }
+    if (!linkCheck) {
+        linkCheck = runLinkCheck().finally(() => {
+            linkCheck = null;
+        });
+    }
+    return linkCheck;
+}
+
+/**
+ * Runs the batch loop for checkLinks until the run recorded in linkCheckProgress is
+ * complete or stopped. A bookmark is pending until it has a result from that run,
+ * so a resumed run skips what was already checked.
+ */
+async function runLinkCheck() {
+    if (!await chrome.permissions.contains(LINK_CHECK_PERMISSION)) return;
+
+    while (true) {
+        const { cachedBookmarks, linkCheckProgress } = await chrome.storage.local.get({
+            cachedBookmarks: [],
+            linkCheckProgress: null
+        });
+        if (!linkCheckProgress || linkCheckProgress.complete) return;
+
+        const { startedAt } = linkCheckProgress;
+        const checkable = cachedBookmarks.filter(bm => isCheckableUrl(bm.url));
+        const pending = checkable.filter(bm => !bm.linkStatus || bm.linkStatus.checkedAt < startedAt);
+        await chrome.storage.local.set({
+            linkCheckProgress: {
+                checked: checkable.length - pending.length,
+                total: checkable.length,
+                startedAt,
+                complete: pending.length === 0
+            }
+        });
+        // Offline, every link would look unreachable; carry on the next time the worker starts.
+        if (pending.length === 0 || !navigator.onLine) return;
+
+        // Bookmarks that share a URL are checked once.
+        const batchUrls = [...new Set(pending.map(bm => bm.url))].slice(0, LINK_CHECK_BATCH_SIZE);
+        const results = await mapWithConcurrency(batchUrls, LINK_CHECK_CONCURRENCY, url => checkLink(url));
+        const resultsByUrl = new Map(batchUrls.map((url, i) => [url, results[i]]));
+
+        await updateCache(async (bookmarks) => {
+            for (const bookmark of bookmarks) {
+                if (resultsByUrl.has(bookmark.url)) bookmark.linkStatus = resultsByUrl.get(bookmark.url);
+            }
+            return bookmarks;
+        });
+        await new Promise(resolve => setTimeout(resolve, LINK_CHECK_BATCH_DELAY));
+    }
+}
+
+/**
+ * Stops the running link check after its current batch.
+ */
+async function stopLinkCheck() {
+    const { linkCheckProgress } = await chrome.storage.local.get('linkCheckProgress');
+    if (linkCheckProgress && !linkCheckProgress.complete) {
+        await chrome.storage.local.set({ linkCheckProgress: { ...linkCheckProgress, complete: true, stopped: true } });
+    }
+}
+
+// --- Bulk Opening ---
+/**
+ * Opens several URLs at once on behalf of the popup. This runs here because the popup
+ * closes as soon as a new window takes focus.
+ * @param {Array<string>} urls The URLs, in the order to open them.
+ * @param {string} target 'window' for a new window, or 'group' for a tab group in the
+ *     last focused browser window.
+ * @param {string} [groupName] The tab group's title.
+ */
+async function openUrls(urls, target, groupName) {
+    if (target === 'window') {
+        await chrome.windows.create({ url: urls, focused: true });
         return;
     }
 
-    buildFullBookmarkCache();
+    let tabs;
+    let browserWindow = null;
+    try {
+        browserWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    } catch (e) { /* No browser window is open */ }
+
+    if (browserWindow) {
+        tabs = [];
+        for (const url of urls) {
+            tabs.push(await chrome.tabs.create({ url, windowId: browserWindow.id, active: false }));
+        }
+    } else {
+        ({ tabs } = await chrome.windows.create({ url: urls, focused: true }));
+    }
+
+    const groupId = await chrome.tabs.group({ tabIds: tabs.map(tab => tab.id), createProperties: { windowId: tabs[0].windowId } });
+    await chrome.tabGroups.update(groupId, { title: groupName || '', collapsed: false });
+    await chrome.tabs.update(tabs[0].id, { active: true });
+    await chrome.windows.update(tabs[0].windowId, { focused: true });
 }
 
 // --- Singleton Popup Window Management ---
@@ -268,6 +875,12 @@ chrome.bookmarks.onChanged.addListener(onBookmarkChanged);
 chrome.bookmarks.onMoved.addListener(onBookmarkMoved);
 chrome.history.onVisited.addListener(handleVisit);
 
+// Convert tags from older versions, and resume any history enrichment or link check
+// that was interrupted when the worker was last stopped.
+migrateTagsIfNeeded();
+populateHistoryDataForBookmarks();
+checkLinks();
+
 chrome.windows.onRemoved.addListener((windowId) => {
     if (windowId === popupWindowId) {
         popupWindowId = null;
@@ -304,4 +917,62 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
             }
         });
     }
-});
\ No newline at end of file
+});
+
+// --- Message Listener ---
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'openUrls') {
+        openUrls(message.urls, message.target, message.groupName).then(
+            () => sendResponse({ ok: true }),
+            (error) => {
+                console.error("Bulk open failed:", error);
+                sendResponse({ ok: false, error: error.message });
+            }
+        );
+        return true; // Responds asynchronously.
+    }
+    if (message.type === 'checkLinks') {
+        // Progress is reported through linkCheckProgress, so don't wait for the run.
+        checkLinks(true);
+        sendResponse({ ok: true });
+    } else if (message.type === 'stopLinkCheck') {
+        stopLinkCheck().then(() => sendResponse({ ok: true }));
+        return true;
+    } else if (message.type === 'buildCache') {
+        // The popup only waits for the cache and index; history data follows.
+        writeFullBookmarkCache().then(() => {
+            sendResponse({ ok: true });
+            populateHistoryDataForBookmarks();
+        });
+        return true;
+    } else if (message.type === 'importBackup') {
+        importBackup(message.backup, message.mode).then(
+            (sync) => sendResponse({ ok: true, sync }),
+            (error) => {
+                console.error("Backup import failed:", error);
+                sendResponse({ ok: false, error: error.message });
+            }
+        );
+        return true;
+    } else if (message.type === 'addTagsAndNotes') {
+        addTagsAndNotes(message.tags, message.notes).then(() => sendResponse({ ok: true }));
+        return true;
+    } else if (message.type === 'setBookmarkTags') {
+        setBookmarkTags(message.id, message.tags).then(() => sendResponse({ ok: true }));
+        return true;
+    } else if (message.type === 'setBookmarkNote') {
+        setBookmarkNote(message.id, message.note).then(() => sendResponse({ ok: true }));
+        return true;
+    } else if (message.type === 'renameTags') {
+        applyTagOperation(bookmarkTags => renameTags(bookmarkTags, message.fromTags, message.toTag))
+            .then(changedCount => sendResponse({ ok: true, changedCount }));
+        return true;
+    } else if (message.type === 'deleteTags') {
+        applyTagOperation(bookmarkTags => deleteTags(bookmarkTags, message.tags))
+            .then(changedCount => sendResponse({ ok: true, changedCount }));
+        return true;
+    } else if (message.type === 'mergeDuplicates') {
+        mergeDuplicates(message.tags, message.notes, message.removedIds).then(() => sendResponse({ ok: true }));
+        return true;
+    }
+});
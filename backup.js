@@ -0,0 +1,403 @@
+import { DEFAULT_WEIGHTS } from './search.js';
+import { TAGS_SCHEMA_VERSION, mergeTags, validateTagName } from './tags.js';
+
+/**
+ * Backups of settings and learned data, exported and imported on the options page.
+ * A backup is a JSON object with any of these sections:
+ * - weights: the scoring weights by name.
+ * - domainScores: selection counts by hostname.
+ * - bookmarkTags: tag arrays by bookmark ID.
+ * - bookmarkNotes: notes by bookmark ID.
+ * Tags and notes come with `bookmarkUrls`, giving each bookmark's URL. Bookmark IDs
+ * differ between profiles, so the URLs let tags and notes from someone else's backup
+ * find the matching bookmarks.
+ *
+ * Files made before backupVersion was added are version 1. Their tags are keyed by
+ * URL when tagsSchemaVersion is missing too.
+ *
+ * The `exportedAt` time identifies a backup. Imports remember it in importedBackups, so
+ * merging the same file again doesn't add its domain counts twice.
+ */
+export const BACKUP_VERSION = 2;
+
+// How an import combines a backup with the data already here.
+export const BACKUP_IMPORT_MODES = {
+    merge: 'Merge: add its tags, notes and domain counts to mine, keep my weights',
+    replace: 'Replace: overwrite my data with the sections in the file'
+};
+
+const SECTIONS = ['weights', 'domainScores', 'bookmarkTags', 'bookmarkNotes'];
+
+// How many imported backups are remembered.
+const MAX_IMPORTED_BACKUPS = 50;
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isCount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Shows a bad value in an error message, shortened so a huge one doesn't flood it.
+ */
+function describeValue(value) {
+    const text = value === undefined ? 'nothing' : JSON.stringify(value);
+    return text.length > 40 ? `${text.substring(0, 37)}...` : text;
+}
+
+/**
+ * Builds a backup of the current data.
+ * @param {{weights: object, domainScores: object, bookmarkTags: object, bookmarkNotes: object,
+ *     cachedBookmarks: Array}} current
+ * @returns {object} The backup, ready for JSON.stringify.
+ */
+export function createBackup({ weights, domainScores, bookmarkTags, bookmarkNotes, cachedBookmarks }) {
+    const urlsById = new Map(cachedBookmarks.map(bookmark => [bookmark.id, bookmark.url]));
+    const bookmarkUrls = {};
+    for (const id of [...Object.keys(bookmarkTags), ...Object.keys(bookmarkNotes)]) {
+        if (urlsById.has(id)) bookmarkUrls[id] = urlsById.get(id);
+    }
+    return {
+        backupVersion: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        weights,
+        domainScores,
+        bookmarkTags,
+        bookmarkNotes,
+        bookmarkUrls,
+        tagsSchemaVersion: TAGS_SCHEMA_VERSION
+    };
+}
+
+/**
+ * Checks the bookmarkUrls section of a backup.
+ * @returns {object|null} URLs by bookmark ID, or null if the section is bad.
+ */
+function readBookmarkUrls(data, errors) {
+    const bookmarkUrls = data.bookmarkUrls ?? {};
+    if (!isPlainObject(bookmarkUrls)) {
+        errors.push(`bookmarkUrls: expected URLs by bookmark ID, got ${describeValue(bookmarkUrls)}.`);
+        return null;
+    }
+    for (const [id, url] of Object.entries(bookmarkUrls)) {
+        if (typeof url !== 'string') errors.push(`bookmarkUrls[${JSON.stringify(id)}]: expected a URL, got ${describeValue(url)}.`);
+    }
+    return bookmarkUrls;
+}
+
+/**
+ * Checks the tags section of a backup and turns it into a list of `{id, url, tags}`
+ * entries, where either the ID or the URL may be null.
+ */
+function readTagEntries(data, bookmarkUrls, isUrlKeyed, errors) {
+    if (!isPlainObject(data.bookmarkTags)) {
+        errors.push(`bookmarkTags: expected tag lists by bookmark, got ${describeValue(data.bookmarkTags)}.`);
+        return null;
+    }
+
+    const tagEntries = [];
+    for (const [key, tags] of Object.entries(data.bookmarkTags)) {
+        const label = `bookmarkTags[${JSON.stringify(key)}]`;
+        if (!Array.isArray(tags)) {
+            errors.push(`${label}: expected a list of tags, got ${describeValue(tags)}.`);
+            continue;
+        }
+        const tagErrorCount = errors.length;
+        tags.forEach((tag, i) => {
+            const tagError = typeof tag === 'string' ? validateTagName(tag.trim()) : 'Expected a tag name.';
+            if (tagError) errors.push(`${label}[${i}] (${describeValue(tag)}): ${tagError}`);
+        });
+        if (errors.length > tagErrorCount) continue;
+
+        const url = isUrlKeyed ? key : bookmarkUrls[key];
+        if (tags.length > 0) {
+            tagEntries.push({ id: isUrlKeyed ? null : key, url: url || null, tags: mergeTags(tags.map(tag => tag.trim())) });
+        }
+    }
+    return tagEntries;
+}
+
+/**
+ * Checks the notes section of a backup and turns it into a list of `{id, url, note}` entries.
+ */
+function readNoteEntries(data, bookmarkUrls, errors) {
+    if (!isPlainObject(data.bookmarkNotes)) {
+        errors.push(`bookmarkNotes: expected notes by bookmark, got ${describeValue(data.bookmarkNotes)}.`);
+        return null;
+    }
+
+    const noteEntries = [];
+    for (const [id, note] of Object.entries(data.bookmarkNotes)) {
+        if (typeof note !== 'string') {
+            errors.push(`bookmarkNotes[${JSON.stringify(id)}]: expected text, got ${describeValue(note)}.`);
+        } else if (note.trim()) {
+            noteEntries.push({ id, url: bookmarkUrls[id] || null, note: note.trim() });
+        }
+    }
+    return noteEntries;
+}
+
+/**
+ * Reads and checks a backup file. Every bad entry is reported, not just the first one.
+ * @param {string} text The file contents.
+ * @returns {{backup: object|null, errors: Array<string>}} The backup's sections (null for
+ *     sections it doesn't have), or null and readable messages naming the bad entries.
+ */
+export function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { backup: null, errors: ['The file isn\'t valid JSON.'] };
+    }
+    if (!isPlainObject(data) || !SECTIONS.some(section => section in data)) {
+        return { backup: null, errors: ['This file isn\'t a Bookmark Assistant backup.'] };
+    }
+
+    const version = data.backupVersion ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        return { backup: null, errors: [`backupVersion: expected a whole number, got ${describeValue(version)}.`] };
+    }
+    if (version > BACKUP_VERSION) {
+        return { backup: null, errors: ['This backup was made by a newer version of the extension. Update it, then import again.'] };
+    }
+
+    const errors = [];
+    const backup = { version, exportedAt: null, weights: null, domainScores: null, tagEntries: null, noteEntries: null };
+
+    if ('exportedAt' in data) {
+        if (typeof data.exportedAt === 'string' && !isNaN(Date.parse(data.exportedAt))) backup.exportedAt = data.exportedAt;
+        else errors.push(`exportedAt: expected a date, got ${describeValue(data.exportedAt)}.`);
+    }
+
+    if ('weights' in data) {
+        if (!isPlainObject(data.weights)) {
+            errors.push(`weights: expected weights by name, got ${describeValue(data.weights)}.`);
+        } else {
+            // Weights added since the backup was made are missing from it and stay as they are.
+            backup.weights = {};
+            for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+                const value = data.weights[key];
+                if (value === undefined) continue;
+                if (isCount(value)) backup.weights[key] = value;
+                else errors.push(`weights.${key}: expected a number of 0 or more, got ${describeValue(value)}.`);
+            }
+        }
+    }
+
+    if ('domainScores' in data) {
+        if (!isPlainObject(data.domainScores)) {
+            errors.push(`domainScores: expected counts by site, got ${describeValue(data.domainScores)}.`);
+        } else {
+            backup.domainScores = {};
+            for (const [domain, count] of Object.entries(data.domainScores)) {
+                if (isCount(count)) backup.domainScores[domain] = count;
+                else errors.push(`domainScores[${JSON.stringify(domain)}]: expected a count of 0 or more, got ${describeValue(count)}.`);
+            }
+        }
+    }
+
+    const bookmarkUrls = readBookmarkUrls(data, errors);
+    if ('bookmarkTags' in data && bookmarkUrls) {
+        const isUrlKeyed = version === 1 && (data.tagsSchemaVersion || 1) < TAGS_SCHEMA_VERSION;
+        backup.tagEntries = readTagEntries(data, bookmarkUrls, isUrlKeyed, errors);
+    }
+    if ('bookmarkNotes' in data && bookmarkUrls) {
+        backup.noteEntries = readNoteEntries(data, bookmarkUrls, errors);
+    }
+
+    return errors.length > 0 ? { backup: null, errors } : { backup, errors };
+}
+
+/**
+ * Builds the function that finds the bookmarks here a backup entry belongs to: the
+ * bookmark with the entry's ID if that still has the same URL, and otherwise every
+ * bookmark with the entry's URL.
+ * @param {Array} cachedBookmarks The cached bookmarks.
+ * @returns {function({id: string|null, url: string|null}): Array} The matching bookmarks.
+ */
+function createBookmarkMatcher(cachedBookmarks) {
+    const bookmarksById = new Map(cachedBookmarks.map(bookmark => [bookmark.id, bookmark]));
+    const bookmarksByUrl = new Map();
+    for (const bookmark of cachedBookmarks) {
+        if (!bookmarksByUrl.has(bookmark.url)) bookmarksByUrl.set(bookmark.url, []);
+        bookmarksByUrl.get(bookmark.url).push(bookmark);
+    }
+    return ({ id, url }) => {
+        const ownBookmark = bookmarksById.get(id);
+        return ownBookmark && (!url || ownBookmark.url === url) ? [ownBookmark] : bookmarksByUrl.get(url) || [];
+    };
+}
+
+/**
+ * Finds the bookmarks here that a backup's tags belong to. Tags of pages that aren't
+ * bookmarked here are parked as orphans.
+ */
+function resolveTagEntries(tagEntries, matchBookmarks) {
+    const bookmarkTags = {};
+    const orphanedTags = {};
+    let unmatchedCount = 0;
+    const now = Date.now();
+    for (const { id, url, tags } of tagEntries) {
+        const targets = matchBookmarks({ id, url });
+        for (const target of targets) {
+            bookmarkTags[target.id] = mergeTags(bookmarkTags[target.id] || [], tags);
+        }
+        if (targets.length > 0) continue;
+        if (url) {
+            orphanedTags[url] = { tags: mergeTags(orphanedTags[url]?.tags || [], tags), removedAt: now };
+        } else {
+            // Tags from an older backup that only knew the bookmark's ID.
+            unmatchedCount++;
+        }
+    }
+    return { bookmarkTags, orphanedTags, unmatchedCount };
+}
+
+/**
+ * Finds the bookmarks here that a backup's notes belong to.
+ * @returns {{bookmarkNotes: object, unmatchedCount: number}} The notes by bookmark ID,
+ *     and how many notes have no bookmark here.
+ */
+function resolveNoteEntries(noteEntries, matchBookmarks) {
+    const bookmarkNotes = {};
+    let unmatchedCount = 0;
+    for (const entry of noteEntries) {
+        const targets = matchBookmarks(entry);
+        targets.forEach(target => { bookmarkNotes[target.id] = entry.note; });
+        if (targets.length === 0) unmatchedCount++;
+    }
+    return { bookmarkNotes, unmatchedCount };
+}
+
+function countTagChanges(before, after) {
+    let gainedCount = 0;
+    let lostCount = 0;
+    for (const id of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        const oldTags = new Set(before[id] || []);
+        const newTags = new Set(after[id] || []);
+        if ([...newTags].some(tag => !oldTags.has(tag))) gainedCount++;
+        if ([...oldTags].some(tag => !newTags.has(tag))) lostCount++;
+    }
+    return { gainedCount, lostCount };
+}
+
+/**
+ * Reads the data a backup import combines with.
+ * @returns {Promise<object>} The current data, as planBackupImport takes it.
+ */
+export async function loadCurrentData() {
+    const { weights } = await chrome.storage.sync.get({ weights: {} });
+    const localData = await chrome.storage.local.get({
+        domainScores: {}, bookmarkTags: {}, orphanedTags: {}, bookmarkNotes: {}, cachedBookmarks: [], importedBackups: []
+    });
+    return { weights: { ...DEFAULT_WEIGHTS, ...weights }, ...localData };
+}
+
+/**
+ * Works out what importing a backup would do, without saving anything. This is the dry
+ * run shown before an import, and the import itself saves the values it returns.
+ * @param {object} backup A backup from parseBackup.
+ * @param {{weights: object, domainScores: object, bookmarkTags: object, orphanedTags: object,
+ *     bookmarkNotes: object, cachedBookmarks: Array, importedBackups: Array<string>}} current
+ *     The data here now.
+ * @param {string} mode One of the BACKUP_IMPORT_MODES keys.
+ * @returns {{sync: object, local: object, changes: Array<string>}} The values to save in
+ *     each storage area, and readable lines describing what changes.
+ */
+export function planBackupImport(backup, current, mode) {
+    const sync = {};
+    const local = {};
+    const changes = [];
+    const matchBookmarks = createBookmarkMatcher(current.cachedBookmarks);
+
+    if (backup.weights && mode === 'merge') {
+        changes.push('Weights: yours are kept.');
+    } else if (backup.weights) {
+        const weights = { ...current.weights, ...backup.weights };
+        const changedKeys = Object.keys(weights).filter(key => weights[key] !== current.weights[key]);
+        changes.push(changedKeys.length > 0
+            ? `Weights: ${changedKeys.map(key => `${key} ${current.weights[key]} → ${weights[key]}`).join(', ')}.`
+            : 'Weights: no changes.');
+        sync.weights = weights;
+    }
+
+    const isReimport = backup.exportedAt !== null && current.importedBackups.includes(backup.exportedAt);
+    if (backup.domainScores && mode === 'merge' && isReimport) {
+        changes.push('Domain counts: this backup was imported before, so its counts aren\'t added again.');
+    } else if (backup.domainScores) {
+        const domainScores = mode === 'merge' ? { ...current.domainScores } : { ...backup.domainScores };
+        if (mode === 'merge') {
+            for (const [domain, count] of Object.entries(backup.domainScores)) {
+                domainScores[domain] = (domainScores[domain] || 0) + count;
+            }
+        }
+        const domains = new Set([...Object.keys(current.domainScores), ...Object.keys(domainScores)]);
+        let addedCount = 0;
+        let changedCount = 0;
+        let removedCount = 0;
+        for (const domain of domains) {
+            if (!(domain in current.domainScores)) addedCount++;
+            else if (!(domain in domainScores)) removedCount++;
+            else if (domainScores[domain] !== current.domainScores[domain]) changedCount++;
+        }
+        changes.push(`Domain counts: ${addedCount} site(s) added, ${changedCount} changed, ${removedCount} removed.`);
+        local.domainScores = domainScores;
+    }
+
+    if (backup.tagEntries) {
+        const resolved = resolveTagEntries(backup.tagEntries, matchBookmarks);
+        let bookmarkTags = resolved.bookmarkTags;
+        if (mode === 'merge') {
+            bookmarkTags = { ...current.bookmarkTags };
+            for (const [id, tags] of Object.entries(resolved.bookmarkTags)) {
+                bookmarkTags[id] = mergeTags(bookmarkTags[id] || [], tags);
+            }
+        }
+        const { gainedCount, lostCount } = countTagChanges(current.bookmarkTags, bookmarkTags);
+        changes.push(`Tags: ${gainedCount} bookmark(s) get tags, ${lostCount} lose tags.`);
+
+        const orphanCount = Object.keys(resolved.orphanedTags).length;
+        if (orphanCount > 0) {
+            changes.push(`${orphanCount} tagged page(s) aren't bookmarked here. Their tags are kept for 30 days in case you bookmark them.`);
+        }
+        if (resolved.unmatchedCount > 0) {
+            changes.push(`${resolved.unmatchedCount} tagged bookmark(s) can't be matched to bookmarks here and are skipped. Backups made before version 2 only match in the profile they came from.`);
+        }
+        local.bookmarkTags = bookmarkTags;
+        if (orphanCount > 0) {
+            local.orphanedTags = { ...current.orphanedTags };
+            for (const [url, orphan] of Object.entries(resolved.orphanedTags)) {
+                const existingTags = current.orphanedTags[url]?.tags || [];
+                local.orphanedTags[url] = { ...orphan, tags: mergeTags(existingTags, orphan.tags) };
+            }
+        }
+    }
+
+    if (backup.noteEntries) {
+        const resolved = resolveNoteEntries(backup.noteEntries, matchBookmarks);
+        // Merging never overwrites a note that's already here.
+        const bookmarkNotes = mode === 'merge' ? { ...resolved.bookmarkNotes, ...current.bookmarkNotes } : resolved.bookmarkNotes;
+        let addedCount = 0;
+        let changedCount = 0;
+        let removedCount = 0;
+        for (const id of new Set([...Object.keys(current.bookmarkNotes), ...Object.keys(bookmarkNotes)])) {
+            if (!(id in current.bookmarkNotes)) addedCount++;
+            else if (!(id in bookmarkNotes)) removedCount++;
+            else if (bookmarkNotes[id] !== current.bookmarkNotes[id]) changedCount++;
+        }
+        changes.push(`Notes: ${addedCount} added, ${changedCount} changed, ${removedCount} removed.`);
+        if (resolved.unmatchedCount > 0) {
+            changes.push(`${resolved.unmatchedCount} note(s) are for pages that aren't bookmarked here and are skipped.`);
+        }
+        local.bookmarkNotes = bookmarkNotes;
+    }
+
+    if (backup.exportedAt !== null && !isReimport) {
+        local.importedBackups = [...current.importedBackups, backup.exportedAt].slice(-MAX_IMPORTED_BACKUPS);
+    }
+
+    return { sync, local, changes };
+}
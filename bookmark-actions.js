@@ -0,0 +1,156 @@
+/**
+ * Bookmark write operations used by the popup, and the tab lookups they rely on.
+ * Everything goes through chrome.bookmarks, so the background worker's onBookmark*
+ * listeners keep the cache up to date.
+ */
+
+/**
+ * Lists every bookmark folder with its full path, in tree order.
+ * @returns {Promise<Array<{id: string, title: string, path: string}>>} The folders.
+ */
+export async function getFolders() {
+    const bookmarkTree = await new Promise(resolve => chrome.bookmarks.getTree(resolve));
+    const folders = [];
+
+    function traverse(nodes, path) {
+        for (const node of nodes) {
+            if (node.url) continue;
+            const folderPath = node.title ? [...path, node.title] : path;
+            if (node.id !== '0') {
+                folders.push({ id: node.id, title: node.title, path: folderPath.join(' / ') });
+            }
+            traverse(node.children || [], folderPath);
+        }
+    }
+    traverse(bookmarkTree, []);
+    return folders;
+}
+
+/**
+ * Scores how well a query matches text as a subsequence, favouring consecutive
+ * characters and matches at the start of words.
+ * @returns {number} The score, or 0 if not every query character appears in order.
+ */
+function subsequenceScore(query, text) {
+    let score = 0;
+    let textIndex = 0;
+    let previousMatch = -2;
+
+    for (const char of query) {
+        const matchIndex = text.indexOf(char, textIndex);
+        if (matchIndex === -1) return 0;
+
+        score += 1;
+        if (matchIndex === previousMatch + 1) score += 2;
+        if (matchIndex === 0 || /[\s/]/.test(text[matchIndex - 1])) score += 3;
+        previousMatch = matchIndex;
+        textIndex = matchIndex + 1;
+    }
+    return score;
+}
+
+/**
+ * Filters folders by a fuzzy query against their paths, best matches first.
+ * @param {Array} folders The folders from getFolders.
+ * @param {string} query The text typed into the folder picker.
+ * @param {number} [limit] The maximum number of folders to return.
+ * @returns {Array} The matching folders.
+ */
+export function filterFolders(folders, query, limit = 8) {
+    const lowerCaseQuery = query.toLowerCase().replace(/\s+/g, '');
+    if (!lowerCaseQuery) return folders.slice(0, limit);
+
+    return folders
+        .map(folder => ({ folder, score: subsequenceScore(lowerCaseQuery, folder.path.toLowerCase()) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.folder.path.length - b.folder.path.length)
+        .slice(0, limit)
+        .map(({ folder }) => folder);
+}
+
+/**
+ * Looks up a single bookmark node.
+ * @param {string} id The bookmark ID.
+ * @returns {Promise<chrome.bookmarks.BookmarkTreeNode|null>} The node, or null if it no longer exists.
+ */
+export async function getBookmark(id) {
+    const nodes = await new Promise(resolve => chrome.bookmarks.get(id, (result) => {
+        resolve(chrome.runtime.lastError ? [] : result);
+    }));
+    return nodes[0] || null;
+}
+
+/**
+ * Deletes a bookmark and returns what's needed to recreate it in the same place.
+ * @param {string} id The bookmark ID.
+ * @returns {Promise<{parentId: string, index: number, title: string, url: string}>} The undo snapshot.
+ */
+export async function removeBookmark(id) {
+    const node = await getBookmark(id);
+    if (!node) throw new Error('This bookmark no longer exists.');
+
+    await chrome.bookmarks.remove(id);
+    return { parentId: node.parentId, index: node.index, title: node.title, url: node.url };
+}
+
+/**
+ * Recreates a bookmark deleted by removeBookmark.
+ * @param {object} snapshot The snapshot returned by removeBookmark.
+ * @returns {Promise<chrome.bookmarks.BookmarkTreeNode>} The new bookmark node.
+ */
+export async function restoreBookmark(snapshot) {
+    return chrome.bookmarks.create(snapshot);
+}
+
+/**
+ * Returns the active tab of the last focused browser window. The popup may be
+ * running in its own window, so the popup's window can't be used.
+ * @returns {Promise<chrome.tabs.Tab|null>} The tab, or null if there is none.
+ */
+export async function getActiveBrowserTab() {
+    const browserWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    if (!browserWindow) return null;
+    const [tab] = await chrome.tabs.query({ active: true, windowId: browserWindow.id });
+    return tab || null;
+}
+
+/**
+ * Finds an open tab showing a URL, preferring the most recently used one.
+ * @param {string} url The URL.
+ * @returns {Promise<{tabId: number, windowId: number}|null>} The tab, or null if the URL isn't open.
+ */
+export async function findOpenTab(url) {
+    const tabs = await chrome.tabs.query({});
+    const [tab] = tabs
+        .filter(candidate => candidate.url === url)
+        .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    return tab ? { tabId: tab.id, windowId: tab.windowId } : null;
+}
+
+/**
+ * Brings an open tab and its window to the front.
+ * @param {{tabId: number, windowId: number}} openTab The tab.
+ */
+export async function switchToTab(openTab) {
+    await chrome.tabs.update(openTab.tabId, { active: true });
+    await chrome.windows.update(openTab.windowId, { focused: true });
+}
+
+/**
+ * Bookmarks the active browser tab in "Other bookmarks", unless it's already bookmarked.
+ * @returns {Promise<{node: chrome.bookmarks.BookmarkTreeNode, created: boolean}>} The bookmark,
+ *     and whether it was newly created.
+ */
+export async function bookmarkActiveTab() {
+    const tab = await getActiveBrowserTab();
+    if (!tab || !tab.url || !/^https?:/.test(tab.url)) {
+        throw new Error('The current tab can\'t be bookmarked.');
+    }
+
+    const [existing] = await chrome.bookmarks.search({ url: tab.url });
+    if (existing) {
+        return { node: existing, created: false };
+    }
+    const node = await chrome.bookmarks.create({ title: tab.title || tab.url, url: tab.url });
+    return { node, created: true };
+}
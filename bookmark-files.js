@@ -0,0 +1,311 @@
+import { escapeHtml } from './export-formats.js';
+import { normalizeUrl } from './url-normalize.js';
+import { mergeTags } from './tags.js';
+
+/**
+ * Bookmark files from browsers and bookmark services. Everything is read into one
+ * shape before importing: a list of nodes, where a folder is `{title, children}` and
+ * a bookmark is `{title, url, tags, note}`.
+ *
+ * Supported formats:
+ * - Netscape bookmark HTML, which every browser exports. Tags are read from and
+ *   written to the TAGS attribute, as Firefox and Pinboard do, and notes to the <DD>
+ *   description after the bookmark.
+ * - Firefox's JSON backup, a tree of places with comma-separated tags.
+ * - Pinboard's JSON export, a flat list of posts with space-separated tags and notes
+ *   in `extended`.
+ */
+
+// How an imported bookmark whose page is already bookmarked is handled.
+export const CONFLICT_MODES = {
+    skip: 'Skip it',
+    mergeTags: 'Skip it, but add its tags to the existing bookmark',
+    duplicate: 'Import it anyway'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+            return Number.isFinite(codePoint) && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+        }
+        return ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    for (const [, name, value] of source.matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[name.toUpperCase()] = decodeEntities(value);
+    }
+    return attributes;
+}
+
+function splitTags(text, separator) {
+    return mergeTags(text.split(separator).map(tag => tag.trim()).filter(Boolean));
+}
+
+/**
+ * Reads a Netscape bookmark HTML file. The format is loose HTML where only the
+ * nesting of <DL> lists matters, so it's scanned for the few tags that carry data.
+ * @param {string} html The file contents.
+ * @returns {Array<object>} The top-level nodes.
+ */
+export function parseNetscapeHtml(html) {
+    if (!/<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(html)) {
+        throw new Error('This isn\'t a bookmark HTML file.');
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    let lastFolder = null;
+    let lastBookmark = null;
+    const token = /<DL\b[^>]*>|<\/DL>|<H3\b([^>]*)>([\s\S]*?)<\/H3>|<A\b([^>]*)>([\s\S]*?)<\/A>|<DD>([^<]*)/gi;
+
+    for (const match of html.matchAll(token)) {
+        const current = stack[stack.length - 1];
+        const tag = match[0].substring(0, 3).toUpperCase();
+        if (tag === '<DD') {
+            // A description belongs to the bookmark just before it; folders' are ignored.
+            if (lastBookmark) lastBookmark.note = decodeEntities(match[5].trim());
+            lastBookmark = null;
+            continue;
+        }
+        lastBookmark = null;
+        if (tag === '<DL') {
+            // A list opens the folder whose heading came just before it; the outermost
+            // list has no heading and holds the top-level nodes.
+            stack.push(lastFolder || current);
+            lastFolder = null;
+        } else if (tag === '</D') {
+            if (stack.length > 1) stack.pop();
+        } else if (tag === '<H3') {
+            lastFolder = { title: decodeEntities(match[2].trim()), children: [] };
+            current.children.push(lastFolder);
+        } else {
+            const attributes = parseAttributes(match[3]);
+            if (!attributes.HREF) continue;
+            lastBookmark = {
+                title: decodeEntities(match[4].trim()),
+                url: attributes.HREF,
+                tags: attributes.TAGS ? splitTags(attributes.TAGS, ',') : [],
+                note: ''
+            };
+            current.children.push(lastBookmark);
+        }
+    }
+    return root.children;
+}
+
+/**
+ * Reads a Firefox JSON backup node and its children.
+ * @returns {object|null} The node, or null for separators and Firefox's smart folders.
+ */
+function readFirefoxNode(node) {
+    if (node.type === 'text/x-moz-place-container' || Array.isArray(node.children)) {
+        return {
+            title: node.title || '',
+            children: (node.children || []).map(readFirefoxNode).filter(Boolean)
+        };
+    }
+    if (node.type !== 'text/x-moz-place' || !node.uri || node.uri.startsWith('place:')) return null;
+    return {
+        title: node.title || '',
+        url: node.uri,
+        tags: typeof node.tags === 'string' ? splitTags(node.tags, ',') : [],
+        note: ''
+    };
+}
+
+/**
+ * Reads a Firefox JSON backup or a Pinboard JSON export.
+ * @param {string} text The file contents.
+ * @returns {Array<object>} The top-level nodes.
+ */
+export function parseBookmarkJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('This file isn\'t valid JSON.');
+    }
+
+    if (Array.isArray(data)) {
+        if (!data.every(post => post && typeof post.href === 'string')) {
+            throw new Error('This JSON file isn\'t a Pinboard export.');
+        }
+        return data.map(post => ({
+            title: post.description || '',
+            url: post.href,
+            tags: typeof post.tags === 'string' ? splitTags(post.tags, /\s+/) : [],
+            note: typeof post.extended === 'string' ? post.extended.trim() : ''
+        }));
+    }
+    if (data && typeof data === 'object' && Array.isArray(data.children)) {
+        // The placesRoot container itself has no title worth keeping.
+        return readFirefoxNode(data).children;
+    }
+    throw new Error('This JSON file isn\'t a Firefox or Pinboard bookmark export.');
+}
+
+/**
+ * Reads a bookmark file, picking the parser from its contents.
+ * @param {string} text The file contents.
+ * @returns {Array<object>} The top-level nodes.
+ */
+export function parseBookmarkFile(text) {
+    return /^\s*[[{]/.test(text) ? parseBookmarkJson(text) : parseNetscapeHtml(text);
+}
+
+/**
+ * Writes a bookmark tree in the Netscape bookmark HTML format.
+ * @param {Array<chrome.bookmarks.BookmarkTreeNode>} tree The tree from chrome.bookmarks.getTree.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @param {object} [bookmarkNotes] Notes by bookmark ID.
+ * @returns {string} The HTML document.
+ */
+export function toNetscapeBookmarkFile(tree, bookmarkTags, bookmarkNotes = {}) {
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>'
+    ];
+    const seconds = time => (time ? ` ADD_DATE="${Math.floor(time / 1000)}"` : '');
+
+    function writeNodes(nodes, depth) {
+        const indent = '    '.repeat(depth);
+        for (const node of nodes) {
+            if (node.url) {
+                const tags = bookmarkTags[node.id] || [];
+                const tagsAttribute = tags.length > 0 ? ` TAGS="${escapeHtml(tags.join(','))}"` : '';
+                lines.push(`${indent}<DT><A HREF="${escapeHtml(node.url)}"${seconds(node.dateAdded)}${tagsAttribute}>${escapeHtml(node.title)}</A>`);
+                if (bookmarkNotes[node.id]) lines.push(`${indent}<DD>${escapeHtml(bookmarkNotes[node.id])}`);
+            } else {
+                const toolbar = node.id === '1' ? ' PERSONAL_TOOLBAR_FOLDER="true"' : '';
+                lines.push(`${indent}<DT><H3${seconds(node.dateAdded)}${toolbar}>${escapeHtml(node.title)}</H3>`);
+                lines.push(`${indent}<DL><p>`);
+                writeNodes(node.children || [], depth + 1);
+                lines.push(`${indent}</DL><p>`);
+            }
+        }
+    }
+    // The root node has no title of its own; its children are the bookmarks bar and friends.
+    writeNodes(tree[0].children || [], 1);
+    lines.push('</DL><p>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Works out what importing nodes would do, without changing anything.
+ * @param {Array<object>} nodes The parsed nodes.
+ * @param {Array<{id: string, url: string}>} existingBookmarks The cached bookmarks.
+ * @returns {{folderCount: number, bookmarkCount: number, taggedCount: number,
+ *     conflicts: Array<{node: object, existing: Array}>}} The counts, and the imported
+ *     bookmarks whose pages are already bookmarked, with the bookmarks they match.
+ */
+export function previewImport(nodes, existingBookmarks) {
+    const existingByKey = new Map();
+    for (const bookmark of existingBookmarks) {
+        const key = normalizeUrl(bookmark.url);
+        if (!existingByKey.has(key)) existingByKey.set(key, []);
+        existingByKey.get(key).push(bookmark);
+    }
+
+    const preview = { folderCount: 0, bookmarkCount: 0, taggedCount: 0, conflicts: [] };
+    (function visit(nodeList) {
+        for (const node of nodeList) {
+            if (node.children) {
+                preview.folderCount++;
+                visit(node.children);
+                continue;
+            }
+            preview.bookmarkCount++;
+            if (node.tags.length > 0) preview.taggedCount++;
+            const existing = existingByKey.get(normalizeUrl(node.url));
+            if (existing) preview.conflicts.push({ node, existing });
+        }
+    })(nodes);
+    return preview;
+}
+
+/**
+ * Creates imported nodes under a new folder, then saves their tags and notes. Folders are
+ * recreated as they were, apart from ones left empty by skipped bookmarks.
+ * @param {Array<object>} nodes The parsed nodes.
+ * @param {object} preview The result of previewImport for the same nodes.
+ * @param {string} mode One of the CONFLICT_MODES keys.
+ * @param {string} folderTitle The title of the folder to import into, created in "Other bookmarks".
+ * @returns {Promise<{createdCount: number, skippedCount: number, mergedCount: number}>} What was done.
+ */
+export async function importBookmarks(nodes, preview, mode, folderTitle) {
+    const conflicts = new Map(preview.conflicts.map(conflict => [conflict.node, conflict.existing]));
+    const tagUpdates = new Map();
+    const noteUpdates = new Map();
+    const result = { createdCount: 0, skippedCount: 0, mergedCount: 0 };
+
+    function addTags(id, tags) {
+        if (tags.length > 0) tagUpdates.set(id, mergeTags(tagUpdates.get(id) || [], tags));
+    }
+
+    function hasImportableBookmarks(node) {
+        if (!node.children) return mode === 'duplicate' || !conflicts.has(node);
+        return node.children.some(hasImportableBookmarks);
+    }
+
+    // parentId is null inside folders that aren't created, where every bookmark is skipped.
+    async function create(nodeList, parentId) {
+        for (const node of nodeList) {
+            if (node.children) {
+                const folder = hasImportableBookmarks(node)
+                    ? await chrome.bookmarks.create({ parentId, title: node.title })
+                    : null;
+                await create(node.children, folder && folder.id);
+                continue;
+            }
+
+            const existing = conflicts.get(node);
+            if (existing && mode !== 'duplicate') {
+                result.skippedCount++;
+                if (mode === 'mergeTags' && node.tags.length > 0) {
+                    existing.forEach(bookmark => addTags(bookmark.id, node.tags));
+                    result.mergedCount++;
+                }
+                continue;
+            }
+            try {
+                const bookmark = await chrome.bookmarks.create({ parentId, title: node.title, url: node.url });
+                addTags(bookmark.id, node.tags);
+                if (node.note) noteUpdates.set(bookmark.id, node.note);
+                result.createdCount++;
+            } catch (error) {
+                // Chrome refuses some URLs, e.g. javascript: bookmarklets in some setups.
+                console.warn(`Couldn't import ${node.url}:`, error);
+                result.skippedCount++;
+            }
+        }
+    }
+
+    // Without a parentId, Chrome creates the folder in "Other bookmarks", whatever its ID.
+    const importFolder = nodes.some(hasImportableBookmarks)
+        ? await chrome.bookmarks.create({ title: folderTitle })
+        : null;
+    await create(nodes, importFolder && importFolder.id);
+
+    if (tagUpdates.size > 0 || noteUpdates.size > 0) {
+        // The background worker writes them: it's updating the same tags as the
+        // bookmarks are created, and its queue keeps either from overwriting the other.
+        await chrome.runtime.sendMessage({
+            type: 'addTagsAndNotes',
+            tags: Object.fromEntries(tagUpdates),
+            notes: Object.fromEntries(noteUpdates)
+        });
+    }
+    return result;
+}
@@ -0,0 +1,177 @@
+import { findDuplicateGroups } from './url-normalize.js';
+import { mergeTags } from './tags.js';
+
+let duplicateGroups = [];
+let bookmarkTags = {};
+// The bookmark to keep in each group, by normalised URL, when the user has picked one.
+const keptIds = new Map();
+
+/**
+ * Displays a status message to the user for a short duration.
+ * @param {string} message The message to display.
+ * @param {boolean} isError If true, the message will be styled as an error.
+ */
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.style.color = isError ? '#ff6b6b' : 'var(--primary-accent)';
+    status.classList.add('visible');
+    setTimeout(() => {
+        status.classList.remove('visible');
+    }, 3000);
+}
+
+/**
+ * Picks the bookmark to keep by default: an https one, then the one with the most
+ * tags, then the most visited.
+ * @param {Array} bookmarks The bookmarks in a duplicate group.
+ */
+function pickDefaultKeeper(bookmarks) {
+    const isHttps = bookmark => Number(bookmark.url.startsWith('https:'));
+    const tagCount = bookmark => (bookmarkTags[bookmark.id] || []).length;
+    return [...bookmarks].sort((a, b) =>
+        isHttps(b) - isHttps(a) || tagCount(b) - tagCount(a) || (b.visitCount || 0) - (a.visitCount || 0)
+    )[0];
+}
+
+function getKeeper(group) {
+    const keptId = keptIds.get(group.key);
+    return group.bookmarks.find(bm => bm.id === keptId) || pickDefaultKeeper(group.bookmarks);
+}
+
+/**
+ * Merges duplicate groups: each keeper gets the tags of its group, and a note from the
+ * group if it has none, and the other bookmarks are deleted. The background worker moves
+ * the tags and notes first, and drops the deleted bookmarks', so they aren't parked as
+ * orphans of a bookmark that was merged on purpose.
+ * @param {Array} groups The groups to merge.
+ */
+async function mergeGroups(groups) {
+    const merges = groups.map(group => {
+        const keeper = getKeeper(group);
+        return { keeper, removed: group.bookmarks.filter(bm => bm.id !== keeper.id) };
+    });
+    const removedCount = merges.reduce((sum, { removed }) => sum + removed.length, 0);
+    if (!confirm(`Delete ${removedCount} duplicate bookmark(s), keeping one of each?`)) return;
+
+    const stored = await chrome.storage.local.get({ bookmarkTags: {}, bookmarkNotes: {} });
+    const tags = {};
+    const notes = {};
+    const removedIds = [];
+    for (const { keeper, removed } of merges) {
+        const mergedTags = mergeTags(...removed.map(bm => stored.bookmarkTags[bm.id] || []));
+        if (mergedTags.length > 0) tags[keeper.id] = mergedTags;
+        const note = removed.map(bm => stored.bookmarkNotes[bm.id]).find(Boolean);
+        if (note) notes[keeper.id] = note;
+        removedIds.push(...removed.map(bm => bm.id));
+    }
+    await chrome.runtime.sendMessage({ type: 'mergeDuplicates', tags, notes, removedIds });
+
+    let failedCount = 0;
+    for (const { removed } of merges) {
+        for (const bookmark of removed) {
+            try {
+                await chrome.bookmarks.remove(bookmark.id);
+            } catch (error) {
+                failedCount++;
+            }
+        }
+    }
+    groups.forEach(group => keptIds.delete(group.key));
+    showStatus(failedCount > 0
+        ? `Deleted ${removedCount - failedCount} duplicate(s); ${failedCount} were already gone.`
+        : `Deleted ${removedCount} duplicate(s).`, failedCount > 0);
+}
+
+/**
+ * Renders one group: a radio button per bookmark for picking the one to keep.
+ */
+function renderGroup(group, container) {
+    const groupEl = document.createElement('div');
+    groupEl.className = 'duplicate-group';
+
+    const header = document.createElement('div');
+    header.className = 'group-header';
+    const key = document.createElement('span');
+    key.className = 'group-key';
+    key.textContent = group.key;
+    const mergeButton = document.createElement('button');
+    mergeButton.className = 'secondary';
+    mergeButton.textContent = 'Merge';
+    mergeButton.addEventListener('click', () => mergeGroups([group]));
+    header.append(key, mergeButton);
+    groupEl.appendChild(header);
+
+    const keeper = getKeeper(group);
+    for (const bookmark of group.bookmarks) {
+        const row = document.createElement('label');
+        row.className = 'duplicate-row';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `keep-${group.key}`;
+        radio.checked = bookmark.id === keeper.id;
+        radio.title = 'Keep this one';
+        radio.addEventListener('change', () => keptIds.set(group.key, bookmark.id));
+
+        const details = document.createElement('div');
+        details.className = 'duplicate-details';
+        const title = document.createElement('div');
+        title.className = 'duplicate-title';
+        title.textContent = bookmark.title || bookmark.url;
+        (bookmarkTags[bookmark.id] || []).forEach(tag => {
+            const pill = document.createElement('span');
+            pill.className = 'tag-pill';
+            pill.textContent = tag;
+            title.append(' ', pill);
+        });
+        const url = document.createElement('div');
+        url.className = 'duplicate-meta';
+        url.textContent = bookmark.url;
+        const path = document.createElement('div');
+        path.className = 'duplicate-meta';
+        path.textContent = bookmark.path || '(top level)';
+        details.append(title, url, path);
+
+        row.append(radio, details);
+        groupEl.appendChild(row);
+    }
+    container.appendChild(groupEl);
+}
+
+function renderReport() {
+    const container = document.getElementById('duplicateGroups');
+    container.innerHTML = '';
+
+    const extraCount = duplicateGroups.reduce((sum, group) => sum + group.bookmarks.length - 1, 0);
+    document.getElementById('duplicateSummary').textContent = duplicateGroups.length > 0
+        ? `${duplicateGroups.length} page(s) bookmarked more than once, ${extraCount} extra bookmark(s)`
+        : '';
+    document.getElementById('mergeAll').disabled = duplicateGroups.length === 0;
+
+    if (duplicateGroups.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-state';
+        empty.textContent = 'No duplicates found.';
+        container.appendChild(empty);
+    }
+    duplicateGroups.forEach(group => renderGroup(group, container));
+}
+
+async function loadReport() {
+    const stored = await chrome.storage.local.get({ cachedBookmarks: [], bookmarkTags: {} });
+    bookmarkTags = stored.bookmarkTags;
+    duplicateGroups = findDuplicateGroups(stored.cachedBookmarks);
+    renderReport();
+}
+
+// --- Event Listeners ---
+document.addEventListener('DOMContentLoaded', loadReport);
+document.getElementById('mergeAll').addEventListener('click', () => mergeGroups(duplicateGroups));
+
+// Merges, and bookmarks added or removed elsewhere, show up once the background
+// worker has updated its cache.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.cachedBookmarks || changes.bookmarkTags)) {
+        loadReport();
+    }
+});
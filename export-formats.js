@@ -0,0 +1,100 @@
+/**
+ * Text formats for copying results: single links for pasting into documents and chat,
+ * and lists of links for exporting a whole result set. A link is `{title, url, tags}`;
+ * tags are optional.
+ */
+
+export const LINK_FORMATS = {
+    url: 'URL',
+    markdown: 'Markdown link',
+    html: 'HTML link',
+    plain: 'Title — URL'
+};
+
+export const LIST_FORMATS = {
+    markdown: 'Markdown list',
+    csv: 'CSV',
+    netscape: 'Netscape bookmarks HTML'
+};
+
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes a Markdown link, escaping what would end the link text or URL early.
+ */
+function toMarkdownLink({ title, url }) {
+    const text = (title || url).replace(/[[\]\\]/g, '\\$&');
+    return `[${text}](${url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20')})`;
+}
+
+function toCsvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Formats one link.
+ * @param {{title: string, url: string}} link The link.
+ * @param {string} format One of the LINK_FORMATS keys.
+ * @returns {string} The formatted link.
+ */
+export function formatLink(link, format) {
+    const title = link.title || link.url;
+    switch (format) {
+        case 'markdown':
+            return toMarkdownLink(link);
+        case 'html':
+            return `<a href="${escapeHtml(link.url)}">${escapeHtml(title)}</a>`;
+        case 'plain':
+            return `${title} — ${link.url}`;
+        default:
+            return link.url;
+    }
+}
+
+/**
+ * Formats a list of links as a document, one link per line or row.
+ * @param {Array<{title: string, url: string, tags?: Array<string>}>} links The links.
+ * @param {string} format One of the LIST_FORMATS keys.
+ * @returns {string} The formatted list.
+ */
+export function formatLinkList(links, format) {
+    switch (format) {
+        case 'csv':
+            return ['title,url,tags', ...links.map(link =>
+                [link.title || '', link.url, (link.tags || []).join(' ')].map(toCsvField).join(',')
+            )].join('\r\n') + '\r\n';
+        case 'netscape':
+            return toNetscapeHtml(links);
+        default:
+            return links.map(link => `- ${toMarkdownLink(link)}`).join('\n');
+    }
+}
+
+/**
+ * Writes links in the Netscape bookmark file format that browsers and bookmark
+ * services import. Tags go in the TAGS attribute, as Firefox and Pinboard write them.
+ * @param {Array<{title: string, url: string, tags?: Array<string>}>} links The links.
+ * @returns {string} The HTML document.
+ */
+export function toNetscapeHtml(links) {
+    const entries = links.map(link => {
+        const tags = link.tags && link.tags.length > 0 ? ` TAGS="${escapeHtml(link.tags.join(','))}"` : '';
+        return `    <DT><A HREF="${escapeHtml(link.url)}"${tags}>${escapeHtml(link.title || link.url)}</A>`;
+    });
+    return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>',
+        ...entries,
+        '</DL><p>',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,39 @@
+/**
+ * Reads the real bookmark tree for the popup's folder-browse mode, so folders are
+ * identified by ID rather than by the joined `path` strings in the search cache.
+ */
+
+// The invisible root above "Bookmarks bar", "Other bookmarks" and "Mobile bookmarks".
+export const ROOT_FOLDER_ID = '0';
+
+/**
+ * Lists a folder's subfolders and bookmarks in bookmark-manager order. Only this level
+ * is read, plus the direct children of each subfolder, which give `childCount`: how
+ * many items the subfolder holds, for the popup to show.
+ * @param {string} folderId The folder ID.
+ * @returns {Promise<Array<chrome.bookmarks.BookmarkTreeNode>>} The folder's children.
+ */
+export async function getFolderContents(folderId) {
+    const children = await chrome.bookmarks.getChildren(folderId);
+    return Promise.all(children.map(async (node) => {
+        if (node.url) return node;
+        const grandchildren = await chrome.bookmarks.getChildren(node.id);
+        return { ...node, childCount: grandchildren.length };
+    }));
+}
+
+/**
+ * Returns a folder and the folders above it, outermost first, not including the root.
+ * @param {string} folderId The folder ID.
+ * @returns {Promise<Array<{id: string, title: string}>>} The breadcrumb trail.
+ */
+export async function getFolderAncestors(folderId) {
+    const ancestors = [];
+    let id = folderId;
+    while (id && id !== ROOT_FOLDER_ID) {
+        const [node] = await chrome.bookmarks.get(id);
+        ancestors.unshift({ id: node.id, title: node.title });
+        id = node.parentId;
+    }
+    return ancestors;
+}
@@ -0,0 +1,171 @@
+import { foldText, levenshteinDistance } from './text-utils.js';
+import { tokenize } from './search-index.js';
+
+/**
+ * Fuzzy matching of search words that don't appear exactly in a bookmark: typos
+ * ("kubrnetes"), abbreviations made of a word's letters in order ("cnsl" for "console")
+ * and acronyms ("gh" for "GitHub", "gcp" for "Google Cloud Platform"). Text is compared
+ * without regard to case or accents.
+ *
+ * How forgiving matching is depends on the strictness setting, stored in
+ * chrome.storage.sync as `fuzzyStrictness`.
+ */
+export const FUZZY_STRICTNESS = {
+    off: 'Off: exact words only',
+    strict: 'Strict: acronyms, and one typo in longer words',
+    normal: 'Normal: also abbreviations, and two typos in long words',
+    loose: 'Loose: also typos in short words and two-letter abbreviations'
+};
+
+export const DEFAULT_FUZZY_STRICTNESS = 'normal';
+
+// For each strictness: the word lengths from which one, then two typos are allowed, and
+// the shortest word matched as an abbreviation.
+const STRICTNESS_RULES = {
+    strict: { typoLengths: [5, Infinity], minAbbreviationLength: Infinity },
+    normal: { typoLengths: [4, 8], minAbbreviationLength: 3 },
+    loose: { typoLengths: [3, 6], minAbbreviationLength: 2 }
+};
+
+// Longer words are rarely acronyms, and leaving them out lets the search index narrow
+// down the bookmarks to check for them.
+const MAX_ACRONYM_LENGTH = 4;
+const ACRONYM_QUALITY = 0.9;
+
+// Word lists and acronyms of titles, URLs, paths and tags, which stay the same from one
+// search to the next.
+const textInfoCache = new Map();
+const TEXT_INFO_CACHE_SIZE = 20000;
+
+/**
+ * Loads the strictness setting.
+ * @returns {Promise<string>} One of the FUZZY_STRICTNESS keys.
+ */
+export async function loadFuzzyStrictness() {
+    const { fuzzyStrictness } = await chrome.storage.sync.get({ fuzzyStrictness: DEFAULT_FUZZY_STRICTNESS });
+    return Object.hasOwn(FUZZY_STRICTNESS, fuzzyStrictness) ? fuzzyStrictness : DEFAULT_FUZZY_STRICTNESS;
+}
+
+/**
+ * Returns the words of a text and its acronym: the first letter of each word, where
+ * capitals inside a word ("GitHub") start a new one.
+ */
+function getTextInfo(text) {
+    let info = textInfoCache.get(text);
+    if (!info) {
+        if (textInfoCache.size >= TEXT_INFO_CACHE_SIZE) textInfoCache.clear();
+        info = {
+            tokens: Array.from(new Set(tokenize(text))),
+            initials: tokenize(text.replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')).map(word => word[0]).join('')
+        };
+        textInfoCache.set(text, info);
+    }
+    return info;
+}
+
+function isSubsequence(word, token) {
+    let position = 0;
+    for (const char of token) {
+        if (char === word[position]) position++;
+        if (position === word.length) return true;
+    }
+    return false;
+}
+
+/**
+ * Rates how closely a search word matches one word of a bookmark.
+ * @returns {number} 1 if the word contains it, down to 0 for no match.
+ */
+function rateWord(word, token, rules) {
+    if (token.includes(word)) return 1;
+    let quality = 0;
+
+    const allowedTypos = rules.typoLengths.filter(length => word.length >= length).length;
+    if (allowedTypos > 0 && token.length >= word.length - allowedTypos) {
+        // Compare against starts one character shorter and longer too, for dropped or
+        // doubled letters, so a partly typed word matches as well.
+        const distance = Math.min(...[-1, 0, 1].map(delta =>
+            levenshteinDistance(word, token.substring(0, word.length + delta))
+        ));
+        if (distance <= allowedTypos) quality = 0.8 - 0.2 * (distance - 1);
+    }
+    if (word.length >= rules.minAbbreviationLength && token[0] === word[0] && isSubsequence(word, token)) {
+        quality = Math.max(quality, 0.5 + 0.3 * word.length / token.length);
+    }
+    return quality;
+}
+
+/**
+ * Builds the fuzzy matcher for one search word. Ratings of bookmark words are
+ * remembered, so rating thousands of bookmarks that share words stays cheap.
+ * @param {string} word A search word, folded with foldText.
+ * @param {string} strictness One of the FUZZY_STRICTNESS keys.
+ * @returns {object|null} The matcher, or null if fuzzy matching is off or the word is
+ *     too short for it:
+ *     - rateToken(token): rates a single folded word, from 0 (no match) to 1;
+ *     - rateText(text): rates a title, URL, path or tag by its best-matching word or its acronym;
+ *     - findRanges(text): finds what rateText matches in a text, for highlighting;
+ *     - canMatchAcronyms: whether rateText also matches across words, which the search
+ *       index can't look up.
+ */
+export function createFuzzyMatcher(word, strictness) {
+    const rules = STRICTNESS_RULES[strictness];
+    if (!rules || word.length < 2) return null;
+
+    const canMatchAcronyms = word.length <= MAX_ACRONYM_LENGTH && /^[\p{L}\p{N}]+$/u.test(word);
+    const ratings = new Map();
+
+    function rateToken(token) {
+        let rating = ratings.get(token);
+        if (rating === undefined) {
+            rating = rateWord(word, token, rules);
+            ratings.set(token, rating);
+        }
+        return rating;
+    }
+
+    function rateText(text) {
+        if (!text) return 0;
+        const { tokens, initials } = getTextInfo(text);
+        let best = canMatchAcronyms && initials.includes(word) ? ACRONYM_QUALITY : 0;
+        for (const token of tokens) {
+            best = Math.max(best, rateToken(token));
+            if (best === 1) break;
+        }
+        return best;
+    }
+
+    /**
+     * Finds the words of a text that match, and the first letters of the words an acronym
+     * matches. Words that contain the search word as it is are left out, as highlighting
+     * marks just the search word in those.
+     * @returns {Array<Array<number>>} The [start, end) ranges in the text.
+     */
+    function findRanges(text) {
+        const ranges = [];
+        const initialPositions = [];
+        for (const match of (text || '').matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+            const token = foldText(match[0]);
+            if (!token.includes(word) && rateToken(token) > 0) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+            // Words start where getTextInfo splits them, capitals inside a word included.
+            initialPositions.push(match.index);
+            for (const boundary of match[0].matchAll(/\p{Ll}(?=\p{Lu})/gu)) {
+                initialPositions.push(match.index + boundary.index + boundary[0].length);
+            }
+        }
+        if (!canMatchAcronyms) return ranges;
+
+        const initialLengths = initialPositions.map(position => String.fromCodePoint(text.codePointAt(position)).length);
+        const initials = initialPositions.map((position, i) => foldText(text.substr(position, initialLengths[i]))[0] || ' ').join('');
+        for (let index = initials.indexOf(word); index !== -1; index = initials.indexOf(word, index + 1)) {
+            for (let i = index; i < index + word.length; i++) {
+                ranges.push([initialPositions[i], initialPositions[i] + initialLengths[i]]);
+            }
+        }
+        return ranges;
+    }
+
+    return { rateToken, rateText, findRanges, canMatchAcronyms };
+}
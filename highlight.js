@@ -0,0 +1,37 @@
+import { foldText, findWordRanges } from './text-utils.js';
+import { createFuzzyMatcher } from './fuzzy.js';
+
+/**
+ * Works out what to mark in search results, following how search matched them: each
+ * search word wherever it appears, without regard to case or accents, and for a word a
+ * result doesn't contain as it is, what fuzzy matching accepted in its place.
+ */
+
+/**
+ * Builds the highlighter for a query's text words.
+ * @param {Array<{value: string, isPhrase: boolean}>} alternatives The words and phrases
+ *     searched as text, from the parsed query's text clauses.
+ * @param {string} fuzzyStrictness One of the FUZZY_STRICTNESS keys.
+ * @returns {function(Array<string>): function(string): Array<Array<number>>} Takes all of
+ *     a result's texts (title, URL, path, tags and note) and returns the function that
+ *     finds the [start, end) ranges to mark in any one of them.
+ */
+export function createHighlighter(alternatives, fuzzyStrictness) {
+    const words = alternatives.map(alternative => foldText(alternative.value)).filter(Boolean);
+    // Like search, phrases only match as they are.
+    const fuzzyMatchers = alternatives
+        .filter(alternative => !alternative.isPhrase)
+        .map(alternative => foldText(alternative.value))
+        .map(word => ({ word, fuzzyMatcher: createFuzzyMatcher(word, fuzzyStrictness) }))
+        .filter(({ fuzzyMatcher }) => fuzzyMatcher);
+
+    return (resultTexts) => {
+        const foldedTexts = resultTexts.filter(Boolean).map(foldText);
+        // Search only falls back to fuzzy matching for words the result doesn't contain.
+        const fuzzyMatches = fuzzyMatchers.filter(({ word }) => !foldedTexts.some(text => text.includes(word)));
+        return (text) => [
+            ...findWordRanges(text, words),
+            ...fuzzyMatches.flatMap(({ fuzzyMatcher }) => fuzzyMatcher.findRanges(text))
+        ];
+    };
+}
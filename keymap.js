@@ -0,0 +1,126 @@
+/**
+ * Configurable popup keybindings. A binding is a key combination written like
+ * "Ctrl+Shift+K": modifiers in the order Ctrl, Alt, Shift, then the key. Letters and
+ * digits are matched by physical key, so bindings work across keyboard layouts; Ctrl
+ * also matches Cmd on macOS. Overrides of the defaults are stored in chrome.storage.sync
+ * as `keymap`, an object mapping action IDs to combinations ('' leaves an action unbound).
+ */
+export const KEYMAP_ACTIONS = [
+    { id: 'openInBackground', label: 'Open in a background tab', defaultKey: 'Ctrl+Enter' },
+    { id: 'openInNewWindow', label: 'Open in a new window', defaultKey: 'Shift+Enter' },
+    { id: 'copyUrl', label: 'Copy URL', defaultKey: 'Alt+C' },
+    { id: 'copyMarkdown', label: 'Copy as Markdown link', defaultKey: 'Alt+K' },
+    { id: 'copyMenu', label: 'Copy in another format, or copy all results', defaultKey: 'Alt+Shift+C' },
+    { id: 'editTags', label: 'Edit tags and note', defaultKey: 'Alt+T' },
+    { id: 'editBookmark', label: 'Edit title and URL', defaultKey: 'F2' },
+    { id: 'moveBookmark', label: 'Move to folder', defaultKey: 'Ctrl+M' },
+    { id: 'deleteBookmark', label: 'Delete bookmark', defaultKey: 'Shift+Delete' },
+    { id: 'revealInFolder', label: 'Reveal in folder', defaultKey: 'Alt+R' },
+    { id: 'bookmarkCurrentTab', label: 'Bookmark the current tab', defaultKey: 'Ctrl+D' },
+    { id: 'undo', label: 'Undo the last action', defaultKey: 'Ctrl+Z' },
+    { id: 'toggleMark', label: 'Select / deselect for bulk opening', defaultKey: 'Alt+S' },
+    { id: 'openSelectionInWindow', label: 'Open selection in a new window', defaultKey: 'Alt+Enter' },
+    { id: 'openSelectionAsGroup', label: 'Open selection as a tab group', defaultKey: 'Alt+Shift+Enter' },
+    { id: 'pageDown', label: 'Page down', defaultKey: 'PageDown' },
+    { id: 'pageUp', label: 'Page up', defaultKey: 'PageUp' },
+    { id: 'firstResult', label: 'First result', defaultKey: 'Alt+ArrowUp' },
+    { id: 'lastResult', label: 'Last result', defaultKey: 'Alt+ArrowDown' },
+    { id: 'explainScore', label: 'Explain the ranking of a result', defaultKey: 'Ctrl+I' },
+    { id: 'showCheatSheet', label: 'Show keyboard shortcuts', defaultKey: '?' }
+];
+
+export const DEFAULT_KEYMAP = Object.fromEntries(KEYMAP_ACTIONS.map(action => [action.id, action.defaultKey]));
+
+// Keys the popup handles itself: opening, moving through and closing results, going up
+// a folder, accepting tag suggestions and opening saved searches.
+const RESERVED_COMBOS = new Set([
+    'Enter', 'Escape', 'Tab', 'Backspace', 'ArrowUp', 'ArrowDown', 'Shift+ArrowUp', 'Shift+ArrowDown',
+    ...Array.from({ length: 9 }, (_, i) => `Alt+${i + 1}`)
+]);
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+/**
+ * Converts a key event to a combination string.
+ * @param {KeyboardEvent} e The key event.
+ * @returns {string|null} The combination, or null for a modifier key pressed on its own.
+ */
+export function eventToCombo(e) {
+    if (MODIFIER_KEYS.includes(e.key)) return null;
+
+    let key = e.key;
+    if (/^Key[A-Z]$/.test(e.code)) {
+        key = e.code.substring(3);
+    } else if (/^Digit[0-9]$/.test(e.code)) {
+        key = e.code.substring(5);
+    } else if (key === ' ') {
+        key = 'Space';
+    } else if (key.length === 1) {
+        key = key.toUpperCase();
+    }
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    // Shift is already part of symbols such as "?", so it's only recorded for other keys.
+    if (e.shiftKey && (key.length > 1 || /[A-Z0-9]/.test(key))) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Returns true if a combination types a character into the search box, like "?",
+ * "Shift+A" or "Shift+Space". The popup only treats such bindings as shortcuts while
+ * the search box is empty.
+ * @param {string} combo The combination.
+ */
+export function isCharacterCombo(combo) {
+    return /^(Shift\+)?(.|Space)$/.test(combo);
+}
+
+/**
+ * Loads the keymap, filling in defaults for actions without an override.
+ * @returns {Promise<object>} Combinations by action ID.
+ */
+export async function loadKeymap() {
+    const { keymap } = await chrome.storage.sync.get({ keymap: {} });
+    return { ...DEFAULT_KEYMAP, ...keymap };
+}
+
+/**
+ * Indexes a keymap by combination, for looking up the action a key press triggers.
+ * @param {object} keymap Combinations by action ID.
+ * @returns {Map<string, string>} Action IDs by combination.
+ */
+export function getActionsByCombo(keymap) {
+    const actionsByCombo = new Map();
+    for (const [actionId, combo] of Object.entries(keymap)) {
+        if (combo) actionsByCombo.set(combo, actionId);
+    }
+    return actionsByCombo;
+}
+
+/**
+ * Checks a keymap for problems.
+ * @param {object} keymap Combinations by action ID.
+ * @returns {Array<string>} Readable error messages; empty if the keymap is valid.
+ */
+export function validateKeymap(keymap) {
+    const errors = [];
+    const actionsByCombo = new Map();
+
+    for (const { id, label } of KEYMAP_ACTIONS) {
+        const combo = keymap[id];
+        if (!combo) continue;
+
+        if (RESERVED_COMBOS.has(combo)) {
+            errors.push(`"${label}": ${combo} is already used by the popup itself.`);
+        } else if (/^(Shift\+)?([A-Z0-9]|Space)$/.test(combo)) {
+            errors.push(`"${label}": ${combo} would get in the way of typing. Add Ctrl or Alt.`);
+        } else if (actionsByCombo.has(combo)) {
+            errors.push(`"${label}": ${combo} is also bound to "${actionsByCombo.get(combo)}".`);
+        }
+        actionsByCombo.set(combo, label);
+    }
+    return errors;
+}
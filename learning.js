@@ -0,0 +1,93 @@
+/**
+ * Learned ranking: which bookmark the user opens after typing a given query. The popup
+ * records each pick in chrome.storage.local as `learnedSelections`, an object mapping
+ * normalised queries to `{[url]: {score, lastUsed}}`. Scores fade with a half-life, so
+ * old habits give way to new ones, and the store is pruned to a fixed size.
+ *
+ * Typing a query boosts the URLs picked for any stored query it's the start of, so a
+ * bookmark opened after typing "pr dash" also comes first for "pr".
+ */
+
+// How long until a pick counts half as much.
+export const LEARNING_HALF_LIFE = 14 * 24 * 60 * 60 * 1000;
+
+const MAX_QUERIES = 200;
+const MAX_URLS_PER_QUERY = 5;
+const MAX_QUERY_LENGTH = 60;
+// Picks that have faded below this are forgotten.
+const MIN_SCORE = 0.05;
+
+/**
+ * Reduces a query to the form picks are stored under: lower case, with runs of
+ * whitespace as single spaces, cut to a bounded length.
+ * @param {string} query The raw search query.
+ * @returns {string} The normalised query; empty if there's nothing to learn from.
+ */
+export function normalizeLearningQuery(query) {
+    return query.toLowerCase().replace(/\s+/g, ' ').trim().substring(0, MAX_QUERY_LENGTH);
+}
+
+function decayedScore(entry, now) {
+    return entry.score * 0.5 ** (Math.max(0, now - entry.lastUsed) / LEARNING_HALF_LIFE);
+}
+
+/**
+ * Records that a URL was opened after typing a query, and prunes the store: each query
+ * keeps its MAX_URLS_PER_QUERY strongest URLs, and only the MAX_QUERIES queries with the
+ * most picks behind them are kept.
+ * @param {object} learnedSelections The stored picks.
+ * @param {string} query The raw search query.
+ * @param {string} url The URL that was opened.
+ * @param {number} [now] The time of the pick.
+ * @returns {object} The updated picks, to store in place of the old ones.
+ */
+export function recordSelection(learnedSelections, query, url, now = Date.now()) {
+    const key = normalizeLearningQuery(query);
+    if (!key || !url) return learnedSelections;
+
+    const picks = { ...learnedSelections, [key]: { ...learnedSelections[key] } };
+    const previous = picks[key][url];
+    picks[key][url] = { score: (previous ? decayedScore(previous, now) : 0) + 1, lastUsed: now };
+
+    const queries = [];
+    for (const [storedQuery, urls] of Object.entries(picks)) {
+        const kept = Object.entries(urls)
+            .map(([storedUrl, entry]) => ({ storedUrl, entry, score: decayedScore(entry, now) }))
+            .filter(({ score }) => score >= MIN_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_URLS_PER_QUERY);
+        if (kept.length === 0) continue;
+        queries.push({
+            storedQuery,
+            urls: Object.fromEntries(kept.map(({ storedUrl, entry }) => [storedUrl, entry])),
+            total: kept.reduce((sum, { score }) => sum + score, 0)
+        });
+    }
+    queries.sort((a, b) => b.total - a.total);
+    return Object.fromEntries(queries.slice(0, MAX_QUERIES).map(({ storedQuery, urls }) => [storedQuery, urls]));
+}
+
+/**
+ * Works out how strongly past picks point at each URL for what's been typed so far.
+ * Picks under longer queries count for less, in proportion to how much of them has
+ * been typed.
+ * @param {object} learnedSelections The stored picks.
+ * @param {string} query The raw search query.
+ * @param {number} [now] The current time.
+ * @returns {Map<string, number>} Confidence by URL, between 0 and 1: a single recent
+ *     pick gives 0.5, and each further one halves the distance to 1.
+ */
+export function getLearnedBoosts(learnedSelections, query, now = Date.now()) {
+    const typed = normalizeLearningQuery(query);
+    const strengths = new Map();
+    if (!typed || !learnedSelections) return strengths;
+
+    for (const [storedQuery, urls] of Object.entries(learnedSelections)) {
+        if (!storedQuery.startsWith(typed)) continue;
+        const share = typed.length / storedQuery.length;
+        for (const [url, entry] of Object.entries(urls)) {
+            strengths.set(url, (strengths.get(url) || 0) + decayedScore(entry, now) * share);
+        }
+    }
+    return new Map(Array.from(strengths, ([url, strength]) => [url, 1 - 0.5 ** strength]));
+}
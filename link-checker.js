@@ -0,0 +1,162 @@
+/**
+ * Checks whether bookmarked URLs still resolve. The background worker runs the checks
+ * in batches and stores each result on the bookmark's cache entry as `linkStatus`:
+ * `{status, httpStatus, redirectUrl, checkedAt}`, where status is one of LINK_STATUS.
+ *
+ * Fetching other sites needs the optional `<all_urls>` host permission, which the
+ * link report page asks for before the first check.
+ */
+export const LINK_STATUS = {
+    ok: 'ok',
+    // The URL ends up somewhere else; redirectUrl holds the final URL.
+    redirected: 'redirected',
+    // The URL leads to a login page, so whether the page itself is still there is
+    // unknown; redirectUrl holds the login page.
+    signIn: 'signIn',
+    // The server says the page is gone (404 or 410).
+    broken: 'broken',
+    // The host couldn't be reached at all, e.g. the domain no longer exists.
+    unreachable: 'unreachable',
+    // Any other failure, like a server error, a timeout or a site refusing robots.
+    // These are often temporary, so they aren't treated as broken.
+    error: 'error'
+};
+
+export const LINK_CHECK_PERMISSION = { origins: ['<all_urls>'] };
+
+const GONE_STATUSES = [404, 410];
+// Servers that don't implement HEAD properly; the check is retried with GET.
+const HEAD_UNSUPPORTED_STATUSES = [403, 405, 501];
+// Hosts and path segments of login pages: login.example.com, /login, /users/sign_in,
+// /oauth2/authorize, /saml, /sso and the like.
+const SIGN_IN_PATTERN = /(^|[/._-])(login|log-in|log_in|signin|sign-in|sign_in|sso|auth|oauth2?|saml2?|cas|adfs|idp|accounts)([/._-]|$)/i;
+
+/**
+ * Returns true for the statuses the popup and report page flag as broken.
+ * @param {object|undefined} linkStatus The cache entry's linkStatus.
+ */
+export function isBrokenLink(linkStatus) {
+    return Boolean(linkStatus) && (linkStatus.status === LINK_STATUS.broken || linkStatus.status === LINK_STATUS.unreachable);
+}
+
+/**
+ * Returns true if a URL can be checked over the network.
+ */
+export function isCheckableUrl(url) {
+    return /^https?:\/\//i.test(url);
+}
+
+/**
+ * Compares URLs the way a redirect is judged: a trailing slash added to the path
+ * or a changed fragment doesn't count as a move.
+ */
+function isSameUrl(a, b) {
+    const normalize = (url) => {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href.replace(/\/$/, '');
+    };
+    try {
+        return normalize(a) === normalize(b);
+    } catch (e) {
+        return a === b;
+    }
+}
+
+/**
+ * Returns true if a redirect leads to a login page: one whose host or path looks like
+ * a login, or that carries the original address to come back to after signing in.
+ */
+function isSignInRedirect(url, redirectUrl) {
+    let original, target;
+    try {
+        original = new URL(url);
+        target = new URL(redirectUrl);
+    } catch (e) {
+        return false;
+    }
+    if (SIGN_IN_PATTERN.test(target.hostname) || SIGN_IN_PATTERN.test(target.pathname)) return true;
+    return [...target.searchParams.values()].some(value =>
+        value.includes(original.host) || (original.pathname.length > 1 && value.startsWith(original.pathname))
+    );
+}
+
+/**
+ * Returns true if a redirect leads to another site, not counting a `www.` prefix.
+ * The report page doesn't offer these for bulk updates, since the new site can be a
+ * login or parking page rather than the bookmarked page.
+ * @param {string} url The bookmarked URL.
+ * @param {string} redirectUrl Where it redirects to.
+ */
+export function changesSite(url, redirectUrl) {
+    const site = address => new URL(address).hostname.replace(/^www\./, '');
+    try {
+        return site(url) !== site(redirectUrl);
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Requests a URL once, giving up after a timeout.
+ * @returns {Promise<Response>} The response after following redirects.
+ */
+async function request(url, method, fetchImpl, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        return await fetchImpl(url, {
+            method,
+            redirect: 'follow',
+            credentials: 'omit',
+            cache: 'no-store',
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Checks a single URL.
+ * @param {string} url The URL to check.
+ * @param {object} [options]
+ * @param {function} [options.fetchImpl] The fetch function to use; tests pass a stand-in.
+ * @param {number} [options.timeout] Milliseconds to wait for each request.
+ * @returns {Promise<{status: string, httpStatus: number, redirectUrl: string, checkedAt: number}>}
+ *     The result, ready to store as the bookmark's linkStatus.
+ */
+export async function checkLink(url, options = {}) {
+    const { fetchImpl = fetch, timeout = 15000 } = options;
+    const result = { status: LINK_STATUS.error, httpStatus: 0, redirectUrl: '', checkedAt: Date.now() };
+
+    let response;
+    try {
+        response = await request(url, 'HEAD', fetchImpl, timeout);
+        if (HEAD_UNSUPPORTED_STATUSES.includes(response.status)) {
+            response = await request(url, 'GET', fetchImpl, timeout);
+            // Only the status matters, so the page isn't downloaded.
+            response.body?.cancel().catch(() => {});
+        }
+    } catch (error) {
+        // fetch rejects with a TypeError when the host can't be reached, and with an
+        // AbortError when the timeout fires.
+        result.status = error.name === 'AbortError' ? LINK_STATUS.error : LINK_STATUS.unreachable;
+        return result;
+    }
+
+    result.httpStatus = response.status;
+    if (GONE_STATUSES.includes(response.status)) {
+        result.status = LINK_STATUS.broken;
+    } else if (response.status === 401) {
+        result.status = LINK_STATUS.signIn;
+    } else if (!response.ok) {
+        result.status = LINK_STATUS.error;
+    } else if (response.redirected && response.url && !isSameUrl(url, response.url)) {
+        result.status = isSignInRedirect(url, response.url) ? LINK_STATUS.signIn : LINK_STATUS.redirected;
+        result.redirectUrl = response.url;
+    } else {
+        result.status = LINK_STATUS.ok;
+    }
+    return result;
+}
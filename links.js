@@ -0,0 +1,264 @@
+import { LINK_STATUS, LINK_CHECK_PERMISSION, isBrokenLink, changesSite } from './link-checker.js';
+
+let cachedBookmarks = [];
+let linkCheckProgress = null;
+const selectedIds = { redirected: new Set(), broken: new Set() };
+
+/**
+ * Displays a status message to the user for a short duration.
+ * @param {string} message The message to display.
+ * @param {boolean} isError If true, the message will be styled as an error.
+ */
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.style.color = isError ? '#ff6b6b' : 'var(--primary-accent)';
+    status.classList.add('visible');
+    setTimeout(() => {
+        status.classList.remove('visible');
+    }, 3000);
+}
+
+/**
+ * Returns the bookmarks of one report section.
+ * @param {string} section 'redirected' or 'broken'.
+ */
+function getSectionBookmarks(section) {
+    return cachedBookmarks.filter(bookmark => section === 'broken'
+        ? isBrokenLink(bookmark.linkStatus)
+        : bookmark.linkStatus && bookmark.linkStatus.status === LINK_STATUS.redirected);
+}
+
+/**
+ * Returns true if a bookmark can be picked for its section's bulk action. Moves to
+ * another site are left out, so they're only ever updated one at a time.
+ */
+function isBulkSelectable(section, bookmark) {
+    return section === 'broken' || !changesSite(bookmark.url, bookmark.linkStatus.redirectUrl);
+}
+
+function getSelectableBookmarks(section) {
+    return getSectionBookmarks(section).filter(bookmark => isBulkSelectable(section, bookmark));
+}
+
+function describeProblem(linkStatus) {
+    const checkedOn = new Date(linkStatus.checkedAt).toLocaleDateString();
+    return linkStatus.status === LINK_STATUS.unreachable
+        ? `Couldn't connect to the site (checked ${checkedOn})`
+        : `The page returned HTTP ${linkStatus.httpStatus} (checked ${checkedOn})`;
+}
+
+/**
+ * Asks for access to all sites if needed, then starts a check in the background worker.
+ */
+async function startCheck() {
+    // Must be requested straight from the click, before anything else is awaited.
+    const granted = await chrome.permissions.request(LINK_CHECK_PERMISSION);
+    if (!granted) {
+        showStatus('Checking links needs access to the bookmarked sites.', true);
+        return;
+    }
+    await chrome.runtime.sendMessage({ type: 'checkLinks' });
+}
+
+/**
+ * Updates a single moved bookmark, first asking for confirmation if it moves to
+ * another site.
+ * @param {object} bookmark The cache entry.
+ */
+function updateRedirect(bookmark) {
+    const { redirectUrl } = bookmark.linkStatus;
+    if (!isBulkSelectable('redirected', bookmark) &&
+        !confirm(`This bookmark now leads to ${new URL(redirectUrl).host}, another site. That may be a login or parking page rather than the page itself. Update it anyway?`)) {
+        return;
+    }
+    updateRedirects([bookmark.id]);
+}
+
+/**
+ * Points the given bookmarks at the addresses they redirect to.
+ * @param {Array<string>} ids The bookmark IDs.
+ */
+async function updateRedirects(ids) {
+    let failedCount = 0;
+    for (const id of ids) {
+        const bookmark = cachedBookmarks.find(bm => bm.id === id);
+        try {
+            await chrome.bookmarks.update(id, { url: bookmark.linkStatus.redirectUrl });
+        } catch (error) {
+            failedCount++;
+        }
+        selectedIds.redirected.delete(id);
+    }
+    showStatus(failedCount > 0
+        ? `Updated ${ids.length - failedCount} bookmark(s); ${failedCount} no longer exist.`
+        : `Updated ${ids.length} bookmark(s).`, failedCount > 0);
+}
+
+/**
+ * Deletes the given bookmarks after asking for confirmation.
+ * @param {Array<string>} ids The bookmark IDs.
+ */
+async function deleteBookmarks(ids) {
+    if (!confirm(`Delete ${ids.length} bookmark(s)? Their tags are kept for 30 days in case you restore them.`)) return;
+
+    for (const id of ids) {
+        try {
+            await chrome.bookmarks.remove(id);
+        } catch (error) { /* Already deleted */ }
+        selectedIds.broken.delete(id);
+    }
+    showStatus(`Deleted ${ids.length} bookmark(s).`);
+}
+
+function renderSummary() {
+    const summary = document.getElementById('checkSummary');
+    const isRunning = Boolean(linkCheckProgress && !linkCheckProgress.complete);
+    document.getElementById('stopCheck').style.display = isRunning ? 'inline-block' : 'none';
+    document.getElementById('startCheck').disabled = isRunning;
+
+    if (!linkCheckProgress) {
+        summary.textContent = 'Your bookmarks haven\'t been checked yet.';
+        return;
+    }
+    const { checked, total, startedAt, stopped } = linkCheckProgress;
+    if (isRunning) {
+        summary.textContent = `Checking ${checked.toLocaleString()} / ${total.toLocaleString()}...`;
+        return;
+    }
+    const countStatus = status => cachedBookmarks.filter(bm => bm.linkStatus && bm.linkStatus.status === status).length;
+    const errorCount = countStatus(LINK_STATUS.error);
+    const signInCount = countStatus(LINK_STATUS.signIn);
+    summary.textContent = `${stopped ? 'Stopped' : 'Last checked'} ${new Date(startedAt).toLocaleString()}.` +
+        (errorCount > 0 ? ` ${errorCount} bookmark(s) couldn't be verified.` : '') +
+        (signInCount > 0 ? ` ${signInCount} bookmark(s) need you to sign in to check them.` : '');
+}
+
+/**
+ * Renders one report section: a row per bookmark with a checkbox and its own action button.
+ * @param {string} section 'redirected' or 'broken'.
+ */
+function renderSection(section) {
+    const table = document.getElementById(`${section}Table`);
+    const bookmarks = getSectionBookmarks(section);
+    const selectable = getSelectableBookmarks(section);
+    const selected = selectedIds[section];
+    table.innerHTML = '';
+
+    for (const id of selected) {
+        if (!selectable.some(bm => bm.id === id)) selected.delete(id);
+    }
+
+    if (bookmarks.length === 0) {
+        const cell = table.insertRow().insertCell();
+        cell.colSpan = 3;
+        cell.className = 'empty-state';
+        cell.textContent = section === 'broken' ? 'No broken links found.' : 'No moved links found.';
+    }
+
+    for (const bookmark of bookmarks) {
+        const row = table.insertRow();
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selected.has(bookmark.id);
+        checkbox.disabled = !isBulkSelectable(section, bookmark);
+        if (checkbox.disabled) checkbox.title = 'Moves to another site, so it can only be updated on its own';
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selected.add(bookmark.id);
+            else selected.delete(bookmark.id);
+            updateBulkActions();
+        });
+        row.insertCell().appendChild(checkbox);
+
+        const details = row.insertCell();
+        const title = document.createElement('div');
+        title.className = 'link-title';
+        title.textContent = bookmark.title || bookmark.url;
+        const url = document.createElement('div');
+        url.className = 'link-url';
+        url.textContent = bookmark.url;
+        details.append(title, url);
+        if (section === 'redirected') {
+            const newUrl = document.createElement('div');
+            newUrl.className = 'link-url new-url';
+            newUrl.textContent = `→ ${bookmark.linkStatus.redirectUrl}`;
+            details.appendChild(newUrl);
+            if (!isBulkSelectable(section, bookmark)) {
+                const warning = document.createElement('div');
+                warning.className = 'link-problem';
+                warning.textContent = 'Moves to another site; check it before updating';
+                details.appendChild(warning);
+            }
+        } else {
+            const problem = document.createElement('div');
+            problem.className = 'link-problem';
+            problem.textContent = describeProblem(bookmark.linkStatus);
+            details.appendChild(problem);
+        }
+
+        const actionsCell = row.insertCell();
+        actionsCell.className = 'link-actions';
+        const button = document.createElement('button');
+        button.className = 'secondary';
+        button.textContent = section === 'broken' ? 'Delete' : 'Update';
+        button.addEventListener('click', () => section === 'broken'
+            ? deleteBookmarks([bookmark.id])
+            : updateRedirect(bookmark));
+        actionsCell.appendChild(button);
+    }
+}
+
+/**
+ * Enables the bulk buttons only when they have something to work on.
+ */
+function updateBulkActions() {
+    document.getElementById('updateSelected').disabled = selectedIds.redirected.size === 0;
+    document.getElementById('deleteSelected').disabled = selectedIds.broken.size === 0;
+
+    for (const selectAll of document.querySelectorAll('.select-all')) {
+        const { section } = selectAll.dataset;
+        const bookmarks = getSelectableBookmarks(section);
+        selectAll.checked = bookmarks.length > 0 && bookmarks.every(bm => selectedIds[section].has(bm.id));
+    }
+}
+
+function renderReport() {
+    renderSummary();
+    renderSection('redirected');
+    renderSection('broken');
+    updateBulkActions();
+}
+
+async function loadReport() {
+    ({ cachedBookmarks, linkCheckProgress } = await chrome.storage.local.get({
+        cachedBookmarks: [],
+        linkCheckProgress: null
+    }));
+    renderReport();
+}
+
+// --- Event Listeners ---
+document.addEventListener('DOMContentLoaded', loadReport);
+document.getElementById('startCheck').addEventListener('click', startCheck);
+document.getElementById('stopCheck').addEventListener('click', () => chrome.runtime.sendMessage({ type: 'stopLinkCheck' }));
+document.getElementById('updateSelected').addEventListener('click', () => updateRedirects([...selectedIds.redirected]));
+document.getElementById('deleteSelected').addEventListener('click', () => deleteBookmarks([...selectedIds.broken]));
+for (const selectAll of document.querySelectorAll('.select-all')) {
+    selectAll.addEventListener('change', () => {
+        const { section } = selectAll.dataset;
+        for (const bookmark of getSelectableBookmarks(section)) {
+            if (selectAll.checked) selectedIds[section].add(bookmark.id);
+            else selectedIds[section].delete(bookmark.id);
+        }
+        renderReport();
+    });
+}
+
+// Results come in batch by batch while a check runs, and fixes show up once the
+// background worker has updated its cache.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.cachedBookmarks || changes.linkCheckProgress)) {
+        loadReport();
+    }
+});
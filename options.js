@@ -1,14 +1,22 @@
-// --- Default Settings ---
-const DEFAULT_WEIGHTS = {
-    titleMatch: 10,
-    startsWithBonus: 15,
-    tagMatch: 20,
-    urlMatch: 3,
-    pathMatch: 5,
-    allWordsBonus: 1.5,
-    visitCount: 5,
-    recency: 10
-};
+import { DEFAULT_SEARCH_ENGINES, validateSearchEngines } from './search-engines.js';
+import { validateSavedSearches } from './saved-searches.js';
+import {
+    CONFLICT_MODES, parseBookmarkFile, previewImport, importBookmarks, toNetscapeBookmarkFile
+} from './bookmark-files.js';
+import { BACKUP_IMPORT_MODES, createBackup, parseBackup, loadCurrentData, planBackupImport } from './backup.js';
+import { KEYMAP_ACTIONS, DEFAULT_KEYMAP, eventToCombo, validateKeymap } from './keymap.js';
+import { DEFAULT_WEIGHTS, WEIGHT_PRESETS, customSearch } from './search.js';
+import { FUZZY_STRICTNESS, DEFAULT_FUZZY_STRICTNESS } from './fuzzy.js';
+
+// Each weight is edited in the input with its name as ID.
+const WEIGHT_FIELDS = Object.keys(DEFAULT_WEIGHTS);
+const PLAYGROUND_RESULT_COUNT = 10;
+
+// The bookmarks and search data the playground ranks: a promise of them, loaded on
+// first use and dropped whenever they change.
+let playgroundData = null;
+let playgroundTimer;
+let playgroundRequestId = 0;
 
 /**
  * Displays a status message to the user for a short duration.
@@ -25,47 +33,362 @@ function showStatus(message, isError = false) {
     }, 3000);
 }
 
+/**
+ * Renders the search engine editor rows.
+ * @param {Array} engines The search engines to show.
+ */
+function renderSearchEngines(engines) {
+    const container = document.getElementById('searchEngines');
+    container.innerHTML = '';
+    engines.forEach(engine => addSearchEngineRow(engine));
+}
+
+/**
+ * Appends an editable row for one search engine.
+ * @param {object} engine The engine to show in the row.
+ */
+function addSearchEngineRow(engine = { prefix: '', name: '', url: '' }) {
+    const row = document.createElement('div');
+    row.className = 'engine-row';
+
+    const fields = [
+        { key: 'prefix', placeholder: '!jira' },
+        { key: 'name', placeholder: 'Jira' },
+        { key: 'url', placeholder: 'https://example.com/search?q={query}' }
+    ];
+    for (const { key, placeholder } of fields) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = `engine-${key}`;
+        input.placeholder = placeholder;
+        input.value = engine[key];
+        row.appendChild(input);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'secondary';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => row.remove());
+    row.appendChild(removeButton);
+
+    document.getElementById('searchEngines').appendChild(row);
+}
+
+/**
+ * Reads the search engines from the editor rows, skipping rows left completely empty.
+ * @returns {Array<{prefix: string, name: string, url: string}>} The engines.
+ */
+function collectSearchEngines() {
+    return Array.from(document.querySelectorAll('.engine-row'))
+        .map(row => ({
+            prefix: row.querySelector('.engine-prefix').value.trim(),
+            name: row.querySelector('.engine-name').value.trim(),
+            url: row.querySelector('.engine-url').value.trim()
+        }))
+        .filter(engine => engine.prefix || engine.name || engine.url);
+}
+
+/**
+ * Renders the saved search editor rows.
+ * @param {Array} savedSearches The saved searches to show.
+ */
+function renderSavedSearches(savedSearches) {
+    document.getElementById('savedSearches').innerHTML = '';
+    savedSearches.forEach(savedSearch => addSavedSearchRow(savedSearch));
+}
+
+/**
+ * Appends an editable row for one saved search.
+ * @param {object} savedSearch The saved search to show in the row.
+ */
+function addSavedSearchRow(savedSearch = { name: '', query: '' }) {
+    const row = document.createElement('div');
+    row.className = 'saved-search-row';
+
+    const fields = [
+        { key: 'name', placeholder: 'Work repos' },
+        { key: 'query', placeholder: '#work -#archived site:github.com' }
+    ];
+    for (const { key, placeholder } of fields) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = `saved-search-${key}`;
+        input.placeholder = placeholder;
+        input.value = savedSearch[key];
+        row.appendChild(input);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'secondary';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => row.remove());
+    row.appendChild(removeButton);
+
+    document.getElementById('savedSearches').appendChild(row);
+}
+
+/**
+ * Reads the saved searches from the editor rows, skipping rows left completely empty.
+ * @returns {Array<{name: string, query: string}>} The saved searches.
+ */
+function collectSavedSearches() {
+    return Array.from(document.querySelectorAll('.saved-search-row'))
+        .map(row => ({
+            name: row.querySelector('.saved-search-name').value.trim(),
+            query: row.querySelector('.saved-search-query').value.trim()
+        }))
+        .filter(savedSearch => savedSearch.name || savedSearch.query);
+}
+
+/**
+ * Renders the keyboard shortcut editor, one key capture box per action.
+ * @param {object} keymap Combinations by action ID.
+ */
+function renderKeymap(keymap) {
+    const container = document.getElementById('keymap');
+    container.innerHTML = '';
+    for (const { id, label } of KEYMAP_ACTIONS) {
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+        const labelEl = document.createElement('span');
+        labelEl.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.readOnly = true;
+        input.className = 'shortcut-key';
+        input.dataset.action = id;
+        input.placeholder = 'None';
+        input.value = keymap[id] || '';
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') return;
+            e.preventDefault();
+            const combo = eventToCombo(e);
+            if (!combo) return;
+            input.value = combo === 'Backspace' || combo === 'Delete' ? '' : combo;
+        });
+
+        row.append(labelEl, input);
+        container.appendChild(row);
+    }
+}
+
+/**
+ * Reads the keymap from the editor. Only bindings that differ from the defaults are
+ * kept, so actions added later get their default shortcut.
+ * @returns {object} Overridden combinations by action ID.
+ */
+function collectKeymap() {
+    const keymap = {};
+    for (const input of document.querySelectorAll('.shortcut-key')) {
+        if (input.value !== DEFAULT_KEYMAP[input.dataset.action]) {
+            keymap[input.dataset.action] = input.value;
+        }
+    }
+    return keymap;
+}
+
 /**
  * Saves options to chrome.storage.sync.
  */
 function saveOptions() {
+    const searchEngines = collectSearchEngines();
+    const engineErrors = validateSearchEngines(searchEngines);
+    if (engineErrors.length > 0) {
+        showStatus(engineErrors[0], true);
+        return;
+    }
+    const savedSearches = collectSavedSearches();
+    const savedSearchErrors = validateSavedSearches(savedSearches);
+    if (savedSearchErrors.length > 0) {
+        showStatus(savedSearchErrors[0], true);
+        return;
+    }
+
+    const keymap = collectKeymap();
+    const keymapErrors = validateKeymap({ ...DEFAULT_KEYMAP, ...keymap });
+    if (keymapErrors.length > 0) {
+        showStatus(keymapErrors[0], true);
+        return;
+    }
+
     chrome.storage.sync.set({
-        weights: {
-            titleMatch: parseFloat(document.getElementById('titleMatch').value),
-            startsWithBonus: parseFloat(document.getElementById('startsWithBonus').value),
-            tagMatch: parseFloat(document.getElementById('tagMatch').value),
-            urlMatch: parseFloat(document.getElementById('urlMatch').value),
-            pathMatch: parseFloat(document.getElementById('pathMatch').value),
-            allWordsBonus: parseFloat(document.getElementById('allWordsBonus').value),
-            visitCount: parseFloat(document.getElementById('visitCount').value),
-            recency: parseFloat(document.getElementById('recency').value)
-        }
+        weights: collectWeights(),
+        fuzzyStrictness: document.getElementById('fuzzyStrictness').value,
+        defaultSearchMode: document.getElementById('defaultSearchMode').value,
+        switchToOpenTab: document.getElementById('switchToOpenTab').checked,
+        bulkOpenConfirmThreshold: Math.max(1, parseInt(document.getElementById('bulkOpenConfirmThreshold').value, 10) || 10),
+        searchEngines,
+        savedSearches,
+        keymap
     }, () => showStatus('Options saved.'));
 }
 
+/**
+ * Reads the weights from the form, as they are before saving.
+ * @returns {object} The weights; a field that isn't a number reads as NaN.
+ */
+function collectWeights() {
+    return Object.fromEntries(WEIGHT_FIELDS.map(field => [field, parseFloat(document.getElementById(field).value)]));
+}
+
 /**
  * Populates the form with the given weights object.
  * @param {object} weights The weights object to load into the form.
  */
 function setFormValues(weights) {
-    document.getElementById('titleMatch').value = weights.titleMatch;
-    document.getElementById('startsWithBonus').value = weights.startsWithBonus;
-    document.getElementById('tagMatch').value = weights.tagMatch;
-    document.getElementById('urlMatch').value = weights.urlMatch;
-    document.getElementById('pathMatch').value = weights.pathMatch;
-    document.getElementById('allWordsBonus').value = weights.allWordsBonus;
-    document.getElementById('visitCount').value = weights.visitCount;
-    document.getElementById('recency').value = weights.recency;
+    WEIGHT_FIELDS.forEach(field => {
+        document.getElementById(field).value = weights[field];
+    });
+    updatePresetSelect();
+    schedulePlaygroundRefresh();
+}
+
+/**
+ * Selects the preset the form's weights match, or "Custom" if none does.
+ */
+function updatePresetSelect() {
+    const weights = collectWeights();
+    const match = Object.entries(WEIGHT_PRESETS).find(([, preset]) =>
+        WEIGHT_FIELDS.every(field => preset.weights[field] === weights[field])
+    );
+    document.getElementById('weightPreset').value = match ? match[0] : '';
+}
+
+function applyPreset(presetId) {
+    const preset = WEIGHT_PRESETS[presetId];
+    if (!preset) return;
+    setFormValues(preset.weights);
+    showStatus(`${preset.label} weights filled in. Save to apply.`);
+}
+
+function schedulePlaygroundRefresh() {
+    clearTimeout(playgroundTimer);
+    playgroundTimer = setTimeout(refreshPlayground, 150);
+}
+
+/**
+ * Makes the playground load its data again, after this page or anything else changed it.
+ */
+function reloadPlaygroundData() {
+    playgroundData = null;
+    schedulePlaygroundRefresh();
+}
+
+/**
+ * Lists the top results for one set of weights.
+ * @param {HTMLElement} list The list to fill.
+ * @param {Array} results The search results, best first.
+ * @param {Map<string, number>} [savedRanks] Each bookmark's rank under the saved weights;
+ *     given for the unsaved weights' list, to mark how far each result moved.
+ */
+function renderPlaygroundList(list, results, savedRanks) {
+    list.innerHTML = '';
+    if (results.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'playground-empty';
+        empty.textContent = 'No matches.';
+        list.appendChild(empty);
+        return;
+    }
+    results.slice(0, PLAYGROUND_RESULT_COUNT).forEach((result, index) => {
+        const row = document.createElement('li');
+        row.title = result.item.url;
+        const title = document.createElement('span');
+        title.className = 'playground-title';
+        title.textContent = result.item.title || result.item.url;
+        const score = document.createElement('span');
+        score.className = 'playground-score';
+        score.textContent = result.score.toFixed(1);
+        row.append(title, score);
+
+        if (savedRanks) {
+            const savedRank = savedRanks.get(result.item.id);
+            const change = document.createElement('span');
+            change.className = 'rank-change';
+            if (savedRank === undefined) {
+                change.textContent = 'new';
+                change.classList.add('up');
+            } else if (savedRank !== index) {
+                const moved = savedRank - index;
+                change.textContent = moved > 0 ? `\u25B2${moved}` : `\u25BC${-moved}`;
+                change.classList.add(moved > 0 ? 'up' : 'down');
+            }
+            if (change.textContent) {
+                row.classList.add('moved');
+                row.prepend(change);
+            }
+        }
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Runs the playground query with the form's weights and with the saved ones, and shows
+ * the two rankings side by side.
+ */
+async function refreshPlayground() {
+    const requestId = ++playgroundRequestId;
+    const query = document.getElementById('playgroundQuery').value.trim();
+    const currentList = document.getElementById('playgroundCurrent');
+    const savedList = document.getElementById('playgroundSaved');
+    document.getElementById('playgroundResults').style.display = query ? '' : 'none';
+    if (!query) return;
+
+    // The promise is kept rather than the data, so a load that finishes after the data
+    // changed again can't put the old data back.
+    if (!playgroundData) {
+        playgroundData = chrome.storage.local.get({
+            cachedBookmarks: [], domainScores: {}, bookmarkTags: {}, bookmarkNotes: {}, learnedSelections: {}, searchIndex: null
+        });
+    }
+    const { cachedBookmarks, domainScores, bookmarkTags, bookmarkNotes, learnedSelections, searchIndex } = await playgroundData;
+    // Fields that aren't numbers yet fall back to the defaults, so typing doesn't blank the preview.
+    const formWeights = Object.fromEntries(Object.entries(collectWeights()).filter(([, value]) => Number.isFinite(value)));
+    const searchOptions = { searchIndex, bookmarkNotes, learnedSelections };
+    const formOptions = {
+        ...searchOptions,
+        weights: { ...DEFAULT_WEIGHTS, ...formWeights },
+        fuzzyStrictness: document.getElementById('fuzzyStrictness').value
+    };
+    const [currentResults, savedResults] = await Promise.all([
+        customSearch(query, cachedBookmarks, domainScores, bookmarkTags, formOptions),
+        customSearch(query, cachedBookmarks, domainScores, bookmarkTags, searchOptions)
+    ]);
+    // A newer query or weight change has already started its own search.
+    if (requestId !== playgroundRequestId) return;
+
+    const savedRanks = new Map(savedResults.map((result, index) => [result.item.id, index]));
+    renderPlaygroundList(currentList, currentResults, savedRanks);
+    renderPlaygroundList(savedList, savedResults);
 }
 
 /**
  * Restores options from chrome.storage.sync.
  */
 function restoreOptions() {
-    chrome.storage.sync.get({ weights: DEFAULT_WEIGHTS }, (items) => {
+    chrome.storage.sync.get({
+        weights: DEFAULT_WEIGHTS,
+        fuzzyStrictness: DEFAULT_FUZZY_STRICTNESS,
+        defaultSearchMode: 'bookmarks',
+        switchToOpenTab: false,
+        bulkOpenConfirmThreshold: 10,
+        searchEngines: DEFAULT_SEARCH_ENGINES,
+        savedSearches: [],
+        keymap: {}
+    }, (items) => {
         // Ensure that any newly added default weights are included if they're not in storage.
         const mergedWeights = { ...DEFAULT_WEIGHTS, ...items.weights };
         setFormValues(mergedWeights);
+        document.getElementById('fuzzyStrictness').value = Object.hasOwn(FUZZY_STRICTNESS, items.fuzzyStrictness)
+            ? items.fuzzyStrictness
+            : DEFAULT_FUZZY_STRICTNESS;
+        document.getElementById('defaultSearchMode').value = items.defaultSearchMode;
+        document.getElementById('switchToOpenTab').checked = items.switchToOpenTab;
+        document.getElementById('bulkOpenConfirmThreshold').value = items.bulkOpenConfirmThreshold;
+        renderSearchEngines(items.searchEngines);
+        renderSavedSearches(items.savedSearches);
+        renderKeymap({ ...DEFAULT_KEYMAP, ...items.keymap });
     });
 }
 
@@ -82,37 +405,47 @@ function resetOptions() {
     }
 }
 
+/**
+ * Forgets which bookmarks were picked for which searches.
+ */
+function clearLearnedSelections() {
+    if (confirm("Are you sure you want to clear the learned selections? Searches will no longer rank the bookmarks you usually pick for them first.")) {
+        chrome.storage.local.remove('learnedSelections', () => {
+            showStatus('Learned selections have been cleared.');
+            reloadPlaygroundData();
+        });
+    }
+}
+
 /**
  * Clears the stored domain preference data.
  */
 function clearDomainData() {
     if (confirm("Are you sure you want to clear the domain visit history? This will reset the algorithm's learning of your preferred sites.")) {
-        chrome.storage.local.remove('domainScores', () => {
+        // Forgetting which backups were imported lets their counts be merged in again.
+        chrome.storage.local.remove(['domainScores', 'importedBackups'], () => {
             showStatus('Domain data has been cleared.');
+            reloadPlaygroundData();
         });
     }
 }
 
 /**
- * Validates the structure and types of the imported data object.
- * @param {object} data The parsed JSON data from an imported file.
- * @returns {boolean} True if the data is valid, false otherwise.
+ * Triggers a download of a file made in the page.
+ * @param {string} content The file contents.
+ * @param {string} fileName The suggested file name.
+ * @param {string} type The MIME type.
  */
-function validateImportedData(data) {
-    if (typeof data !== 'object' || data === null) return false;
-    if (typeof data.weights !== 'object' || data.weights === null) return false;
-
-    // Check if all required weight keys exist and are numbers
-    for (const key of Object.keys(DEFAULT_WEIGHTS)) {
-        if (typeof data.weights[key] !== 'number') {
-            return false;
-        }
-    }
-
-    if (typeof data.domainScores !== 'object' || data.domainScores === null) return false;
-    if (typeof data.bookmarkTags !== 'object' || data.bookmarkTags === null) return false;
-
-    return true;
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 }
 
 /**
@@ -121,24 +454,20 @@ function validateImportedData(data) {
 async function exportData() {
     try {
         const syncData = await chrome.storage.sync.get('weights');
-        const localData = await chrome.storage.local.get(['domainScores', 'bookmarkTags']);
-
-        const exportObject = {
-            weights: syncData.weights || DEFAULT_WEIGHTS,
-            domainScores: localData.domainScores || {},
-            bookmarkTags: localData.bookmarkTags || {}
-        };
-
-        const blob = new Blob([JSON.stringify(exportObject, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
+        const localData = await chrome.storage.local.get({
+            domainScores: {}, bookmarkTags: {}, bookmarkNotes: {}, cachedBookmarks: []
+        });
+
+        const backup = createBackup({
+            weights: { ...DEFAULT_WEIGHTS, ...syncData.weights },
+            domainScores: localData.domainScores,
+            bookmarkTags: localData.bookmarkTags,
+            bookmarkNotes: localData.bookmarkNotes,
+            cachedBookmarks: localData.cachedBookmarks
+        });
+
         const dateStamp = new Date().toISOString().slice(0, 10);
-        a.download = `bookmark-assistant-backup-${dateStamp}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(JSON.stringify(backup, null, 2), `bookmark-assistant-backup-${dateStamp}.json`, 'application/json');
         showStatus('Data exported successfully.');
     } catch (error) {
         console.error('Export failed:', error);
@@ -146,51 +475,231 @@ async function exportData() {
     }
 }
 
+// The checked backup waiting for confirmation in the backup preview.
+let pendingBackup = null;
+
+function hideBackupPreview() {
+    pendingBackup = null;
+    document.getElementById('backupPreview').style.display = 'none';
+}
+
+/**
+ * Lists lines in the backup preview, with a note for any beyond the first few.
+ * @param {Array<string>} lines The lines to list.
+ */
+function renderBackupLines(lines) {
+    const list = document.getElementById('backupChanges');
+    list.innerHTML = '';
+    const shownLines = lines.slice(0, 10);
+    if (lines.length > shownLines.length) shownLines.push(`...and ${lines.length - shownLines.length} more.`);
+    for (const line of shownLines) {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Shows a dry run of importing the pending backup in the chosen mode.
+ */
+async function renderBackupPreview() {
+    if (!pendingBackup) return;
+    const mode = document.getElementById('backupMode').value;
+    const { changes } = planBackupImport(pendingBackup.backup, await loadCurrentData(), mode);
+    document.getElementById('backupSummary').textContent =
+        `Importing ${pendingBackup.fileName} would make these changes. Nothing has been changed yet.`;
+    renderBackupLines(changes);
+}
+
 /**
- * Handles the file selection event for importing data, validates, and saves it.
+ * Handles the file selection event for importing data: checks the file, then shows
+ * what importing it would change, or what's wrong with it.
  * @param {Event} event The file input change event.
  */
-function handleFileImport(event) {
+async function handleFileImport(event) {
     const file = event.target.files[0];
     if (!file) {
         return;
     }
 
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-        try {
-            const data = JSON.parse(e.target.result);
-            if (!validateImportedData(data)) {
-                throw new Error("Invalid or corrupted backup file.");
-            }
+    try {
+        const { backup, errors } = parseBackup(await file.text());
+        document.getElementById('backupPreview').style.display = 'block';
+        document.getElementById('backupModeOptions').style.display = backup ? 'flex' : 'none';
+        document.getElementById('confirmBackupImport').style.display = backup ? 'inline-block' : 'none';
+        if (!backup) {
+            pendingBackup = null;
+            document.getElementById('backupSummary').textContent =
+                `${file.name} can't be imported because of ${errors.length} problem(s):`;
+            renderBackupLines(errors);
+            return;
+        }
+        pendingBackup = { backup, fileName: file.name };
+        await renderBackupPreview();
+    } catch (error) {
+        console.error('Import failed:', error);
+        hideBackupPreview();
+        showStatus('Failed to read the file.', true);
+    } finally {
+        // Reset the file input so the same file can be selected again if needed
+        event.target.value = '';
+    }
+}
+
+/**
+ * Imports the previewed backup in the chosen mode.
+ */
+async function confirmBackupImport() {
+    if (!pendingBackup) return;
+    const mode = document.getElementById('backupMode').value;
+    const { backup } = pendingBackup;
+    hideBackupPreview();
+
+    try {
+        // The background worker plans it again, in case anything changed while the
+        // preview was open, and saves it in step with its own tag and note updates.
+        const response = await chrome.runtime.sendMessage({ type: 'importBackup', backup, mode });
+        if (!response.ok) throw new Error(response.error);
+
+        // Update the form on the page to reflect the imported settings
+        if (response.sync.weights) setFormValues(response.sync.weights);
+        reloadPlaygroundData();
+        showStatus('Data imported successfully!');
+    } catch (error) {
+        console.error('Import failed:', error);
+        showStatus(`Import failed: ${error.message}`, true);
+    }
+}
+
+/**
+ * Downloads every bookmark, with folders, tags and notes, as a Netscape bookmark HTML file.
+ */
+async function exportBookmarks() {
+    try {
+        const tree = await chrome.bookmarks.getTree();
+        const { bookmarkTags, bookmarkNotes } = await chrome.storage.local.get({ bookmarkTags: {}, bookmarkNotes: {} });
+        const dateStamp = new Date().toISOString().slice(0, 10);
+        downloadFile(toNetscapeBookmarkFile(tree, bookmarkTags, bookmarkNotes), `bookmarks-${dateStamp}.html`, 'text/html');
+        showStatus('Bookmarks exported successfully.');
+    } catch (error) {
+        console.error('Bookmark export failed:', error);
+        showStatus('Error exporting bookmarks.', true);
+    }
+}
+
+// The parsed file waiting for confirmation in the import preview.
+let pendingImport = null;
 
-            // If validation passes, save the data
-            await chrome.storage.sync.set({ weights: data.weights });
-            await chrome.storage.local.set({
-                domainScores: data.domainScores,
-                bookmarkTags: data.bookmarkTags
-            });
-
-            // Update the form on the page to reflect the imported settings
-            setFormValues(data.weights);
-            showStatus('Data imported successfully!');
-
-        } catch (error) {
-            console.error('Import failed:', error);
-            showStatus(error.message || 'Failed to parse the file.', true);
-        } finally {
-            // Reset the file input so the same file can be selected again if needed
-            event.target.value = '';
+function hideImportPreview() {
+    pendingImport = null;
+    document.getElementById('importPreview').style.display = 'none';
+}
+
+/**
+ * Reads a bookmark file and shows what importing it would do.
+ * @param {Event} event The file input change event.
+ */
+async function handleBookmarkFileImport(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    try {
+        const nodes = parseBookmarkFile(await file.text());
+        const { cachedBookmarks } = await chrome.storage.local.get({ cachedBookmarks: [] });
+        const preview = previewImport(nodes, cachedBookmarks);
+        if (preview.bookmarkCount === 0) {
+            throw new Error('There are no bookmarks in this file.');
         }
-    };
-    reader.readAsText(file);
+        pendingImport = { nodes, preview, fileName: file.name };
+
+        document.getElementById('importSummary').textContent =
+            `${file.name} has ${preview.bookmarkCount} bookmark(s) in ${preview.folderCount} folder(s); ` +
+            `${preview.taggedCount} are tagged. ${preview.conflicts.length} are already bookmarked` +
+            (preview.conflicts.length > 0 ? ', for example:' : '.');
+        const conflictList = document.getElementById('importConflicts');
+        conflictList.innerHTML = '';
+        for (const { node } of preview.conflicts.slice(0, 5)) {
+            const item = document.createElement('li');
+            item.textContent = node.title || node.url;
+            conflictList.appendChild(item);
+        }
+        document.getElementById('conflictOptions').style.display = preview.conflicts.length > 0 ? 'flex' : 'none';
+        document.getElementById('importPreview').style.display = 'block';
+    } catch (error) {
+        console.error('Bookmark import failed:', error);
+        hideImportPreview();
+        showStatus(error.message || 'Failed to read the file.', true);
+    } finally {
+        event.target.value = '';
+    }
+}
+
+/**
+ * Imports the previewed file with the chosen conflict handling.
+ */
+async function confirmBookmarkImport() {
+    if (!pendingImport) return;
+    const { nodes, preview, fileName } = pendingImport;
+    const mode = document.getElementById('conflictMode').value;
+    hideImportPreview();
+
+    try {
+        const folderTitle = `Imported from ${fileName.replace(/\.[^.]+$/, '')}`;
+        const { createdCount, skippedCount, mergedCount } = await importBookmarks(nodes, preview, mode, folderTitle);
+        reloadPlaygroundData();
+        showStatus(`Imported ${createdCount} bookmark(s), skipped ${skippedCount}` +
+            (mergedCount > 0 ? `, added tags to ${mergedCount} existing.` : '.'));
+    } catch (error) {
+        console.error('Bookmark import failed:', error);
+        showStatus(`Import stopped partway: ${error.message}`, true);
+    }
 }
 
 // --- Event Listeners ---
 document.addEventListener('DOMContentLoaded', restoreOptions);
+const presetSelect = document.getElementById('weightPreset');
+presetSelect.add(new Option('Custom', ''));
+for (const [id, preset] of Object.entries(WEIGHT_PRESETS)) {
+    presetSelect.add(new Option(preset.label, id));
+}
+presetSelect.addEventListener('change', () => applyPreset(presetSelect.value));
+WEIGHT_FIELDS.forEach(field => {
+    document.getElementById(field).addEventListener('input', () => {
+        updatePresetSelect();
+        schedulePlaygroundRefresh();
+    });
+});
+document.getElementById('playgroundQuery').addEventListener('input', schedulePlaygroundRefresh);
+const fuzzyStrictnessSelect = document.getElementById('fuzzyStrictness');
+for (const [strictness, label] of Object.entries(FUZZY_STRICTNESS)) {
+    fuzzyStrictnessSelect.add(new Option(label, strictness));
+}
+fuzzyStrictnessSelect.addEventListener('change', schedulePlaygroundRefresh);
 document.getElementById('save').addEventListener('click', saveOptions);
 document.getElementById('reset').addEventListener('click', resetOptions);
 document.getElementById('clearDomains').addEventListener('click', clearDomainData);
+document.getElementById('clearLearned').addEventListener('click', clearLearnedSelections);
+document.getElementById('manageTags').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('tag-manager.html') });
+});
+document.getElementById('findDuplicates').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('duplicates.html') });
+});
+document.getElementById('checkLinks').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('links.html') });
+});
+document.getElementById('addEngine').addEventListener('click', () => addSearchEngineRow());
+document.getElementById('resetEngines').addEventListener('click', () => {
+    renderSearchEngines(DEFAULT_SEARCH_ENGINES);
+    showStatus('Default engines restored. Save to apply.');
+});
+document.getElementById('addSavedSearch').addEventListener('click', () => addSavedSearchRow());
+document.getElementById('resetKeymap').addEventListener('click', () => {
+    renderKeymap(DEFAULT_KEYMAP);
+    showStatus('Default shortcuts restored. Save to apply.');
+});
 document.getElementById('exportData').addEventListener('click', exportData);
 
 // The "Import" button acts as a proxy to click the hidden file input
@@ -199,4 +708,33 @@ document.getElementById('importDataBtn').addEventListener('click', () => {
 });
 
 // The actual file input that handles the logic
-document.getElementById('importData').addEventListener('change', handleFileImport);
\ No newline at end of file
+document.getElementById('importData').addEventListener('change', handleFileImport);
+document.getElementById('confirmBackupImport').addEventListener('click', confirmBackupImport);
+document.getElementById('cancelBackupImport').addEventListener('click', hideBackupPreview);
+const backupModeSelect = document.getElementById('backupMode');
+for (const [mode, label] of Object.entries(BACKUP_IMPORT_MODES)) {
+    backupModeSelect.add(new Option(label, mode));
+}
+backupModeSelect.addEventListener('change', renderBackupPreview);
+
+document.getElementById('exportBookmarks').addEventListener('click', exportBookmarks);
+document.getElementById('importBookmarksBtn').addEventListener('click', () => {
+    document.getElementById('importBookmarks').click();
+});
+document.getElementById('importBookmarks').addEventListener('change', handleBookmarkFileImport);
+document.getElementById('confirmImport').addEventListener('click', confirmBookmarkImport);
+document.getElementById('cancelImport').addEventListener('click', hideImportPreview);
+const conflictModeSelect = document.getElementById('conflictMode');
+for (const [mode, label] of Object.entries(CONFLICT_MODES)) {
+    conflictModeSelect.add(new Option(label, mode));
+}
+
+// Keeps the playground's saved column and bookmark data current after saving, resetting
+// or importing, and as bookmarks change.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && ['cachedBookmarks', 'domainScores', 'bookmarkTags', 'bookmarkNotes', 'learnedSelections', 'searchIndex'].some(key => changes[key])) {
+        reloadPlaygroundData();
+    } else if (areaName === 'sync' && (changes.weights || changes.fuzzyStrictness)) {
+        schedulePlaygroundRefresh();
+    }
+});
@@ -1,4 +1,20 @@
-import { customSearch, searchHistory } from './search.js';
+import { customSearch, searchHistory, searchTabs, searchAll, SCORE_PARTS } from './search.js';
+import { parseQuery } from './query-parser.js';
+import { collectTagCounts, suggestTags } from './tags.js';
+import { getSnippet, findWordRanges, splitRanges } from './text-utils.js';
+import { createHighlighter } from './highlight.js';
+import { DEFAULT_FUZZY_STRICTNESS, loadFuzzyStrictness } from './fuzzy.js';
+import { loadSearchEngines, matchSearchEngine, buildSearchUrl } from './search-engines.js';
+import { loadSavedSearches } from './saved-searches.js';
+import { ROOT_FOLDER_ID, getFolderContents, getFolderAncestors } from './folder-browse.js';
+import { LINK_STATUS, isBrokenLink } from './link-checker.js';
+import { LINK_FORMATS, LIST_FORMATS, formatLink, formatLinkList } from './export-formats.js';
+import { recordSelection } from './learning.js';
+import { KEYMAP_ACTIONS, DEFAULT_KEYMAP, loadKeymap, eventToCombo, isCharacterCombo, getActionsByCombo } from './keymap.js';
+import {
+    getFolders, filterFolders, getBookmark, removeBookmark, restoreBookmark, bookmarkActiveTab,
+    findOpenTab, switchToTab
+} from './bookmark-actions.js';
 
 document.addEventListener('DOMContentLoaded', function () {
     // --- Auto-close functionality for external window ---
@@ -20,18 +36,58 @@ document.addEventListener('DOMContentLoaded', function () {
     const searchInput = document.getElementById('searchInput');
     const bookmarksList = document.getElementById('bookmarksList');
     const historyToggle = document.getElementById('historyToggle');
+    const indexStatus = document.getElementById('indexStatus');
+    const queryFeedback = document.getElementById('queryFeedback');
+    const enginePreview = document.getElementById('enginePreview');
+    const actionPanel = document.getElementById('actionPanel');
+    const toast = document.getElementById('toast');
+    const tagSuggestionList = document.getElementById('tagSuggestions');
+    const breadcrumb = document.getElementById('breadcrumb');
+    const selectionBar = document.getElementById('selectionBar');
+    const cheatSheet = document.getElementById('cheatSheet');
 
     let allBookmarks = [];
     let selectedIndex = -1;
     let searchMode = 'bookmarks';
     let domainScores = {};
     let bookmarkTags = {};
+    let bookmarkNotes = {};
+    let learnedSelections = {};
+    let fuzzyStrictness = DEFAULT_FUZZY_STRICTNESS;
+    let searchIndex = null;
+    let searchEngines = [];
+    let savedSearches = [];
+    let switchToOpenTab = false;
+    let bulkOpenConfirmThreshold = 10;
+    const markedUrls = new Set();
+    // The search result each row shows, for explaining its ranking.
+    const resultsByRow = new WeakMap();
     let debounceTimer;
     let activeTagInput = null;
     let isDraggingInTagInput = false;
+    let isIndexingHistory = false;
+    let isActionPanelOpen = false;
+    let actionPanelKeyHandler = null;
+    let pendingUndo = null;
+    let toastTimer;
+    let tagSuggestions = null;
+    let browseFolderId = null;
+    let browseAncestors = [];
+    let keymap = DEFAULT_KEYMAP;
+    let actionsByCombo = getActionsByCombo(keymap);
 
     const editIconSvg = `<svg viewBox="0 0 20 20"><path fill-rule="evenodd" d="M13.586 3.586a2 2 0 112.828 2.828l-1.06 1.06-2.829-2.828 1.061-1.06zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"></path></svg>`;
     const copyIconSvg = `<svg viewBox="0 0 20 20" fill="currentColor"><path d="M8 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z"></path><path d="M6 3a2 2 0 00-2 2v11a2 2 0 002 2h8a2 2 0 002-2V5a2 2 0 00-2-2 3 3 0 01-3 3H9a3 3 0 01-3-3z"></path></svg>`;
+    const SEARCH_MODES = {
+        bookmarks: { label: 'B', title: 'Search Bookmarks', placeholder: 'Search bookmarks, #tag, site:, :Google, or ::AI search...', next: 'history' },
+        history: { label: 'H', title: 'Search History', placeholder: 'Search history, site:, :Google, or ::AI search...', next: 'all' },
+        all: { label: 'A', title: 'Search Bookmarks, History & Tabs', placeholder: 'Search bookmarks, history & tabs, #tag, site:...', next: 'tabs' },
+        tabs: { label: 'T', title: 'Search Open Tabs', placeholder: 'Search open tabs, site:, :Google, or ::AI search...', next: 'bookmarks' }
+    };
+    const SOURCE_BADGES = { bookmark: 'Bookmark', history: 'History', tab: 'Tab' };
+    const SAVED_SEARCH_SHORTCUT_COUNT = 9;
+    const OPENABLE_PROTOCOLS = ['http:', 'https:', 'chrome:'];
+
     const successIconSvg = `<svg viewBox="0 0 20 20"><path d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z"></path></svg>`;
 
     window.addEventListener('mouseup', () => {
@@ -45,24 +101,28 @@ document.addEventListener('DOMContentLoaded', function () {
         activeTagInput = null;
     }
 
-    async function saveTagsForUrl(url, tags) {
-        if (tags.length > 0) {
-            bookmarkTags[url] = tags;
-        } else {
-            delete bookmarkTags[url];
-        }
-        await chrome.storage.local.set({ bookmarkTags });
+    // The background worker saves edits, so they can't overwrite its own tag and note
+    // updates. The storage listener picks up the result.
+    async function saveTagsForBookmark(id, tags) {
+        await chrome.runtime.sendMessage({ type: 'setBookmarkTags', id, tags });
+    }
+
+    async function saveNoteForBookmark(id, note) {
+        await chrome.runtime.sendMessage({ type: 'setBookmarkNote', id, note });
     }
 
     /**
      * Navigates to the given URL in a new tab after performing security checks.
-     * Also tracks the domain for ranking and closes the popup.
+     * Switches to an already open tab instead when the result is one, or when the
+     * "switch to open tab" setting is on and the URL is open somewhere.
+     * Also records the pick for ranking and closes the popup.
      * @param {string} url The URL to navigate to.
+     * @param {{tabId: number, windowId: number}|null} [openTab] The tab the result stands for.
      */
-    function navigateToUrl(url) {
+    async function navigateToUrl(url, openTab = null) {
         try {
             const parsedUrl = new URL(url);
-            if (!['http:', 'https:', 'chrome:'].includes(parsedUrl.protocol)) {
+            if (!OPENABLE_PROTOCOLS.includes(parsedUrl.protocol)) {
                 console.warn(`Blocked navigation to a URL with an unsupported protocol: ${url}`);
                 return;
             }
@@ -70,18 +130,43 @@ document.addEventListener('DOMContentLoaded', function () {
             console.warn(`Blocked navigation to an invalid or malformed URL: ${url}`);
             return;
         }
-        trackDomainSelection(url);
+        trackSelection(url);
+        const tabToSwitchTo = openTab || (switchToOpenTab ? await findOpenTab(url) : null);
+        if (tabToSwitchTo) {
+            try {
+                await switchToTab(tabToSwitchTo);
+                window.close();
+                return;
+            } catch (e) {
+                console.warn(`The tab for ${url} was closed; opening it in a new tab instead.`);
+            }
+        }
         chrome.tabs.create({ url: url });
         window.close();
     }
 
+    /**
+     * Reads the open tab a result row stands for, if any.
+     * @param {HTMLElement} element The result row.
+     * @returns {{tabId: number, windowId: number}|null} The tab.
+     */
+    function getOpenTab(element) {
+        if (!element.dataset.tabId) return null;
+        return { tabId: Number(element.dataset.tabId), windowId: Number(element.dataset.windowId) };
+    }
+
     /**
      * EFFICIENTLY updates the DOM with search results by recycling existing nodes.
      * @param {Array} results The sorted list of search results.
+     * @param {string} [emptyMessage] The text shown when there are no results.
      */
-    function displayResults(results) {
+    function displayResults(results, emptyMessage = 'No matches found.') {
         const itemsToDisplay = results.filter(result => result && result.item);
         const isInputEmpty = searchInput.value.trim().length === 0;
+        const highlightAlternatives = getHighlightAlternatives();
+        const highlightWords = highlightAlternatives.map(alternative => alternative.value);
+        const tagFilterWords = getHighlightAlternatives('tag').map(alternative => alternative.value);
+        const createRowHighlighter = createHighlighter(highlightAlternatives, fuzzyStrictness);
 
         // Hide all existing items first
         const existingItems = bookmarksList.children;
@@ -96,9 +181,9 @@ document.addEventListener('DOMContentLoaded', function () {
                     noResultsEl = document.createElement('div');
                     noResultsEl.className = 'no-results';
                     noResultsEl.id = 'no-results-msg';
-                    noResultsEl.textContent = 'No matches found.';
                     bookmarksList.appendChild(noResultsEl);
                 }
+                noResultsEl.textContent = emptyMessage;
                 noResultsEl.style.display = 'block';
             }
             return;
@@ -117,23 +202,40 @@ document.addEventListener('DOMContentLoaded', function () {
                 bookmarkElement.innerHTML = `
                     <img src="" class="favicon">
                     <div class="bookmark-content">
-                        <span class="title"></span>
+                        <div class="title-row">
+                            <span class="title"></span>
+                            <span class="source-badge" style="display:none;"></span>
+                            <span class="switch-badge" style="display:none;">Switch to tab</span>
+                            <span class="link-badge" style="display:none;">Broken</span>
+                        </div>
                         <div class="url-display"></div>
                         <div class="history-time" style="display:none;"></div>
                         <div class="bookmark-path" style="display:none;"></div>
                         <div class="tags-container"></div>
+                        <div class="note-snippet" style="display:none;"></div>
                         <input type="text" class="tags-input" style="display:none;" placeholder="Add tags, comma-separated...">
+                        <textarea class="note-input" style="display:none;" rows="3" placeholder="Add a note... (Shift+Enter for a new line)"></textarea>
                     </div>
                     <div class="action-buttons">
-                        <button class="action-btn copy-url-btn" title="Copy URL">${copyIconSvg}</button>
-                        <button class="action-btn edit-tags-btn" title="Edit Tags">${editIconSvg}</button>
+                        <button class="action-btn copy-url-btn" title="Copy...">${copyIconSvg}</button>
+                        <button class="action-btn edit-tags-btn" title="Edit Tags & Note">${editIconSvg}</button>
                     </div>
                 `;
                 bookmarksList.appendChild(bookmarkElement);
             }
 
             bookmarkElement.style.display = 'flex';
+            resultsByRow.set(bookmarkElement, result);
+            bookmarkElement.classList.toggle('virtual-folder', Boolean(result.folder));
+            bookmarkElement.classList.toggle('marked', !result.folder && markedUrls.has(bookmark.url));
+            if (result.folder) {
+                displayFolderRow(bookmarkElement, result.folder);
+                return;
+            }
+            delete bookmarkElement.dataset.query;
+            delete bookmarkElement.dataset.folderId;
             bookmarkElement.dataset.url = bookmark.url;
+
             bookmarkElement.title = bookmark.url;
 
             const content = bookmarkElement.querySelector('.bookmark-content');
@@ -142,15 +244,38 @@ document.addEventListener('DOMContentLoaded', function () {
             const pathEl = content.querySelector('.bookmark-path');
             const historyEl = content.querySelector('.history-time');
             const tagsContainer = content.querySelector('.tags-container');
+            const noteEl = content.querySelector('.note-snippet');
+            const sourceBadge = content.querySelector('.source-badge');
+            const isHistoryItem = searchMode === 'history' || result.source === 'history' || result.source === 'tab';
+            bookmarkElement.dataset.id = isHistoryItem ? '' : (bookmark.id || '');
+            bookmarkElement.dataset.tabId = result.openTab ? result.openTab.tabId : '';
+            bookmarkElement.dataset.windowId = result.openTab ? result.openTab.windowId : '';
+            content.querySelector('.switch-badge').style.display = result.openTab ? 'inline-block' : 'none';
+            updateLinkBadge(content.querySelector('.link-badge'), isHistoryItem ? null : bookmark.linkStatus);
 
-            titleEl.textContent = bookmark.title || bookmark.url;
-            urlEl.textContent = bookmark.url.replace(/^(?:https?:\/\/)?(?:www\.)?/i, "");
+            // The switch badge already says a tab result is a tab.
+            if (result.source && result.source !== 'tab') {
+                sourceBadge.textContent = SOURCE_BADGES[result.source];
+                sourceBadge.dataset.source = result.source;
+                sourceBadge.style.display = 'inline-block';
+            } else {
+                sourceBadge.style.display = 'none';
+            }
+
+            const tags = isHistoryItem ? [] : bookmarkTags[bookmark.id] || [];
+            const note = isHistoryItem ? '' : bookmarkNotes[bookmark.id] || '';
+            const findMatches = createRowHighlighter([bookmark.title, bookmark.url, bookmark.path, ...tags, note]);
+            setHighlightedText(titleEl, bookmark.title || bookmark.url, findMatches);
+            setHighlightedText(urlEl, bookmark.url.replace(/^(?:https?:\/\/)?(?:www\.)?/i, ""), findMatches);
             bookmarkElement.querySelector('.favicon').src = `https://www.google.com/s2/favicons?sz=16&domain_url=${encodeURIComponent(bookmark.url)}`;
 
-            if (searchMode === 'history') {
+            if (isHistoryItem) {
                 pathEl.style.display = 'none';
+                tagsContainer.innerHTML = '';
+                noteEl.style.display = 'none';
                 bookmarkElement.querySelector('.action-buttons').style.display = 'none';
                 historyEl.style.display = 'block';
+                historyEl.textContent = '';
                 if (bookmark.lastVisitTime) {
                     const visitDate = new Date(bookmark.lastVisitTime);
                     historyEl.textContent = visitDate.toLocaleString(undefined, {
@@ -162,32 +287,316 @@ document.addEventListener('DOMContentLoaded', function () {
                 bookmarkElement.querySelector('.action-buttons').style.display = 'flex';
                 if (bookmark.path) {
                     pathEl.style.display = 'block';
-                    pathEl.textContent = bookmark.path;
+                    setHighlightedText(pathEl, bookmark.path, findMatches);
                 } else {
                     pathEl.style.display = 'none';
                 }
                 tagsContainer.innerHTML = '';
                 
-                const tags = bookmarkTags[bookmark.url] || [];
-                
                 tags.forEach(tagText => {
                     const tagElement = document.createElement('span');
                     tagElement.className = 'tag-pill';
-                    tagElement.textContent = tagText;
+                    // Tag pills also mark the tags the query filters by.
+                    setHighlightedText(tagElement, tagText, text => [...findMatches(text), ...findWordRanges(text, tagFilterWords)]);
                     tagsContainer.appendChild(tagElement);
                 });
                 content.querySelector('.tags-input').value = tags.join(', ');
+
+                renderNoteSnippet(noteEl, note, highlightWords);
+                content.querySelector('.note-input').value = note;
             }
         });
     }
 
+    /**
+     * Returns the words and phrases of the current query's clauses of one kind, for highlighting.
+     * @param {string} [kind] The clause kind: 'text' for the searched words, 'tag' for
+     *     the tags the query filters by.
+     */
+    function getHighlightAlternatives(kind = 'text') {
+        return parseQuery(searchInput.value).clauses
+            .filter(clause => clause.kind === kind)
+            .flatMap(clause => clause.alternatives);
+    }
+
+    /**
+     * Appends text parts to an element, wrapping the matched ones in <mark>.
+     * @param {HTMLElement} element The element.
+     * @param {Array<{text: string, isMatch: boolean}>} parts The parts, from splitRanges.
+     */
+    function appendParts(element, parts) {
+        for (const part of parts) {
+            if (part.isMatch) {
+                const mark = document.createElement('mark');
+                mark.textContent = part.text;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(part.text));
+            }
+        }
+    }
+
+    /**
+     * Sets an element's text with the matches in it marked.
+     * @param {HTMLElement} element The element.
+     * @param {string} text The text.
+     * @param {function(string): Array<Array<number>>} findMatches Finds the [start, end)
+     *     ranges to mark in a text.
+     */
+    function setHighlightedText(element, text, findMatches) {
+        element.textContent = '';
+        appendParts(element, splitRanges(text, findMatches(text)));
+    }
+
+    /**
+     * Shows an excerpt of a bookmark's note under its tags, with the search words marked.
+     * @param {HTMLElement} element The row's note excerpt.
+     * @param {string} note The note; empty hides the excerpt.
+     * @param {Array<string>} words The words to mark.
+     */
+    function renderNoteSnippet(element, note, words) {
+        element.innerHTML = '';
+        if (!note) {
+            element.style.display = 'none';
+            return;
+        }
+        appendParts(element, getSnippet(note, words));
+        element.title = note;
+        element.style.display = '';
+    }
+
+    /**
+     * Shows the "Broken" badge on a bookmark the link check found to be gone or unreachable.
+     * @param {HTMLElement} badge The row's badge.
+     * @param {object|undefined} linkStatus The bookmark's last link check result.
+     */
+    function updateLinkBadge(badge, linkStatus) {
+        if (!isBrokenLink(linkStatus)) {
+            badge.style.display = 'none';
+            return;
+        }
+        const checkedOn = new Date(linkStatus.checkedAt).toLocaleDateString();
+        badge.title = linkStatus.status === LINK_STATUS.unreachable
+            ? `The site couldn't be reached when checked on ${checkedOn}.`
+            : `The page returned HTTP ${linkStatus.httpStatus} when checked on ${checkedOn}.`;
+        badge.style.display = 'inline-block';
+    }
+
+    /**
+     * Fills a result row with a folder: a saved search, which opens its results, or a
+     * real folder in browse mode, which opens its contents.
+     * @param {HTMLElement} element The recycled result row.
+     * @param {{name: string, detail: string, badge?: string, query?: string, folderId?: string}} folder
+     *     What to show, and either the saved query or the bookmark folder ID.
+     */
+    function displayFolderRow(element, folder) {
+        if (folder.query) {
+            element.dataset.query = folder.query;
+            delete element.dataset.folderId;
+        } else {
+            element.dataset.folderId = folder.folderId;
+            delete element.dataset.query;
+        }
+        element.dataset.url = '';
+        element.dataset.id = '';
+        element.dataset.tabId = '';
+        element.title = folder.detail;
+        element.querySelector('.favicon').src = 'images/folder.svg';
+
+        const content = element.querySelector('.bookmark-content');
+        content.querySelector('.title').textContent = folder.name;
+        content.querySelector('.url-display').textContent = folder.detail;
+        content.querySelector('.history-time').style.display = 'none';
+        content.querySelector('.bookmark-path').style.display = 'none';
+        content.querySelector('.tags-container').innerHTML = '';
+        content.querySelector('.tags-input').style.display = 'none';
+        content.querySelector('.note-snippet').style.display = 'none';
+        content.querySelector('.note-input').style.display = 'none';
+        content.querySelector('.switch-badge').style.display = 'none';
+        content.querySelector('.link-badge').style.display = 'none';
+        element.querySelector('.action-buttons').style.display = 'none';
+
+        const shortcutBadge = content.querySelector('.source-badge');
+        if (folder.badge) {
+            shortcutBadge.textContent = folder.badge;
+            shortcutBadge.dataset.source = 'saved';
+            shortcutBadge.style.display = 'inline-block';
+        } else {
+            shortcutBadge.style.display = 'none';
+        }
+    }
+
+    /**
+     * Runs a saved search by putting its query in the search box.
+     * @param {string} query The saved query.
+     */
+    function openSavedSearch(query) {
+        closeActiveTagInput();
+        searchInput.value = query;
+        searchInput.focus();
+        clearTimeout(debounceTimer);
+        executeSearch();
+    }
+
+    // --- Folder Browsing ---
+    /**
+     * Shows the breadcrumb trail for the folder being browsed. Every folder in it but
+     * the current one can be clicked.
+     */
+    function renderBreadcrumb() {
+        breadcrumb.innerHTML = '';
+        const trail = [{ id: ROOT_FOLDER_ID, title: 'Bookmarks' }, ...browseAncestors];
+        trail.forEach((folder, i) => {
+            if (i > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'crumb-separator';
+                separator.textContent = '\u203A';
+                breadcrumb.appendChild(separator);
+            }
+            const crumb = document.createElement('span');
+            crumb.className = 'crumb';
+            crumb.textContent = folder.title || '(untitled)';
+            if (i < trail.length - 1) {
+                crumb.classList.add('crumb-link');
+                crumb.addEventListener('click', () => browseTo(folder.id));
+            }
+            breadcrumb.appendChild(crumb);
+        });
+        if (trail.length > 1) {
+            const hint = document.createElement('span');
+            hint.className = 'crumb-hint';
+            hint.textContent = 'Backspace: up';
+            breadcrumb.appendChild(hint);
+        }
+        breadcrumb.style.display = 'flex';
+    }
+
+    /**
+     * Lists the subfolders and bookmarks of the folder being browsed.
+     * @param {string} filter Text after the "/" in the search box; narrows the list by title or URL.
+     */
+    async function displayFolderContents(filter) {
+        let contents;
+        try {
+            [contents, browseAncestors] = await Promise.all([
+                getFolderContents(browseFolderId),
+                getFolderAncestors(browseFolderId)
+            ]);
+        } catch (e) {
+            // The folder was deleted while it was being browsed.
+            if (browseFolderId === ROOT_FOLDER_ID) throw e;
+            browseFolderId = ROOT_FOLDER_ID;
+            return displayFolderContents(filter);
+        }
+        renderBreadcrumb();
+
+        const lowerCaseFilter = filter.toLowerCase();
+        const bookmarksById = new Map(allBookmarks.map(bookmark => [bookmark.id, bookmark]));
+        const rows = contents
+            .filter(node => node.title.toLowerCase().includes(lowerCaseFilter) ||
+                (node.url && node.url.toLowerCase().includes(lowerCaseFilter)))
+            .map(node => {
+                if (node.url) {
+                    return { item: bookmarksById.get(node.id) || { id: node.id, title: node.title, url: node.url } };
+                }
+                const itemCount = node.childCount;
+                return {
+                    item: { title: node.title, url: '' },
+                    folder: { name: node.title, detail: `${itemCount} item${itemCount === 1 ? '' : 's'}`, folderId: node.id }
+                };
+            });
+
+        appContainer.classList.add('is-searching');
+        displayResults(rows, lowerCaseFilter ? 'Nothing in this folder matches.' : 'This folder is empty.');
+        if (rows.length > 0) {
+            selectedIndex = 0;
+            updateSelection();
+        }
+    }
+
+    /**
+     * Opens a folder in browse mode.
+     * @param {string} folderId The folder ID.
+     * @returns {Promise<void>} Resolves once the folder's contents are shown.
+     */
+    function browseTo(folderId) {
+        closeActiveTagInput();
+        browseFolderId = folderId;
+        searchInput.value = '/';
+        searchInput.focus();
+        clearTimeout(debounceTimer);
+        return executeSearch();
+    }
+
+    function browseUp() {
+        const parent = browseAncestors[browseAncestors.length - 2];
+        browseTo(parent ? parent.id : ROOT_FOLDER_ID);
+    }
+
+    function getVisibleItems() {
+        return Array.from(bookmarksList.querySelectorAll('.bookmark-item')).filter(item => item.style.display !== 'none');
+    }
+
     function updateSelection() { const items = bookmarksList.querySelectorAll('.bookmark-item'); items.forEach((item, index) => { if (index === selectedIndex) { item.classList.add('selected'); item.scrollIntoView({ block: 'nearest' }); } else { item.classList.remove('selected'); } }); }
     
+    /**
+     * Shows problems the query parser found in the current query, e.g. an unknown operator.
+     * @param {string} query The trimmed query.
+     */
+    function updateQueryFeedback(query) {
+        const { errors } = query ? parseQuery(query) : { errors: [] };
+        queryFeedback.textContent = errors.join(' ');
+        queryFeedback.style.display = errors.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Shows which search engine Enter will open, or hides the preview row.
+     * @param {{engine: object, term: string}|null} engineMatch The result of matchSearchEngine.
+     */
+    function updateEnginePreview(engineMatch) {
+        enginePreview.innerHTML = '';
+        if (!engineMatch) {
+            enginePreview.style.display = 'none';
+            return;
+        }
+
+        const engineName = document.createElement('span');
+        engineName.className = 'engine-name';
+        engineName.textContent = engineMatch.engine.name;
+        const hint = document.createElement('span');
+        hint.className = 'engine-hint';
+
+        if (engineMatch.term) {
+            enginePreview.append('Search ', engineName, ` for \u201C${engineMatch.term}\u201D`);
+            hint.textContent = 'Enter';
+        } else {
+            enginePreview.append('Type a query to search ', engineName);
+            hint.textContent = engineMatch.engine.prefix;
+        }
+        enginePreview.append(hint);
+        enginePreview.style.display = 'block';
+    }
+
     async function executeSearch() {
         const query = searchInput.value.trim();
         selectedIndex = -1;
 
-        if (query.startsWith(':')) {
+        // A leading "/" browses the bookmark tree; the rest of the query filters the folder.
+        if (query.startsWith('/')) {
+            updateEnginePreview(null);
+            updateQueryFeedback('');
+            browseFolderId = browseFolderId || ROOT_FOLDER_ID;
+            await displayFolderContents(query.substring(1).trim());
+            return;
+        }
+        browseFolderId = null;
+        breadcrumb.style.display = 'none';
+
+        const engineMatch = matchSearchEngine(query, searchEngines);
+        updateEnginePreview(engineMatch);
+        updateQueryFeedback(engineMatch ? '' : query);
+
+        if (engineMatch) {
             appContainer.classList.remove('is-searching');
             bookmarksList.innerHTML = '';
             return;
@@ -197,9 +606,13 @@ document.addEventListener('DOMContentLoaded', function () {
             appContainer.classList.add('is-searching');
             let results;
             if (searchMode === 'bookmarks') {
-                results = await customSearch(query, allBookmarks, domainScores, bookmarkTags);
+                results = await customSearch(query, allBookmarks, domainScores, bookmarkTags, { searchIndex, bookmarkNotes, learnedSelections });
+            } else if (searchMode === 'all') {
+                results = await searchAll(query, allBookmarks, domainScores, bookmarkTags, { searchIndex, bookmarkNotes, learnedSelections });
+            } else if (searchMode === 'tabs') {
+                results = await searchTabs(query, { allBookmarks, bookmarkTags, domainScores });
             } else {
-                results = await searchHistory(query);
+                results = await searchHistory(query, { allBookmarks, bookmarkTags });
             }
             displayResults(results);
     
@@ -208,14 +621,30 @@ document.addEventListener('DOMContentLoaded', function () {
                 updateSelection();
             }
         } else {
-            if (searchMode === 'bookmarks') {
-                appContainer.classList.add('is-searching');
-                const pinTagResults = await customSearch('#pin', allBookmarks, domainScores, bookmarkTags);
-                displayResults(pinTagResults);
-                if (bookmarksList.querySelector('.bookmark-item[style*="display: flex"]')) {
-                    selectedIndex = 0;
-                    updateSelection();
+            // The empty state lists saved searches as folders, followed by #pin bookmarks,
+            // or by the open tabs when searching tabs.
+            const savedSearchRows = savedSearches.map((savedSearch, i) => ({
+                item: { title: savedSearch.name, url: '' },
+                folder: {
+                    name: savedSearch.name,
+                    detail: savedSearch.query,
+                    badge: i < SAVED_SEARCH_SHORTCUT_COUNT ? `Alt+${i + 1}` : '',
+                    query: savedSearch.query
                 }
+            }));
+            let defaultResults = [];
+            if (searchMode === 'tabs') {
+                defaultResults = await searchTabs('', { allBookmarks, bookmarkTags, domainScores });
+            } else if (searchMode !== 'history') {
+                defaultResults = await customSearch('#pin', allBookmarks, domainScores, bookmarkTags, { searchIndex, bookmarkNotes, learnedSelections });
+            }
+            const emptyStateRows = [...savedSearchRows, ...defaultResults];
+
+            if (emptyStateRows.length > 0) {
+                appContainer.classList.add('is-searching');
+                displayResults(emptyStateRows);
+                selectedIndex = 0;
+                updateSelection();
             } else {
                 appContainer.classList.remove('is-searching');
                 bookmarksList.innerHTML = '';
@@ -224,48 +653,983 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     async function initialize() { 
-        const bookmarksData = await chrome.storage.local.get('cachedBookmarks'); 
-        if (bookmarksData.cachedBookmarks && bookmarksData.cachedBookmarks.length > 0 && bookmarksData.cachedBookmarks[0].hasOwnProperty('path')) { 
+        const bookmarksData = await chrome.storage.local.get(['cachedBookmarks', 'searchIndex']); 
+        if (bookmarksData.cachedBookmarks && bookmarksData.cachedBookmarks.length > 0 && bookmarksData.cachedBookmarks[0].hasOwnProperty('id')) { 
             allBookmarks = bookmarksData.cachedBookmarks; 
+            searchIndex = bookmarksData.searchIndex || null; 
         } else { 
-            console.warn("Background cache not ready, doing a one-time flatten.");
-            const bookmarkTree = await new Promise(resolve => chrome.bookmarks.getTree(resolve)); 
-            allBookmarks = (function flattenBookmarks(bookmarkTreeNodes) { const bookmarks = []; function traverse(nodes, path) { for (const node of nodes) { if (node.url) { bookmarks.push({ title: node.title, url: node.url, path: path.join(' / ') }); } if (node.children) { const newPath = node.title ? [...path, node.title] : path; traverse(node.children, newPath); } } } traverse(bookmarkTreeNodes, []); return bookmarks; })(bookmarkTree); 
-            chrome.storage.local.set({ cachedBookmarks: allBookmarks }); 
+            // Only the background worker writes the cache, so it stays in step with the search index.
+            console.warn("Background cache not ready, asking the background worker to build it.");
+            await chrome.runtime.sendMessage({ type: 'buildCache' });
+            const builtData = await chrome.storage.local.get({ cachedBookmarks: [], searchIndex: null });
+            allBookmarks = builtData.cachedBookmarks;
+            searchIndex = builtData.searchIndex;
         } 
-        const storedData = await chrome.storage.local.get(['domainScores', 'bookmarkTags']); 
+        const storedData = await chrome.storage.local.get(['domainScores', 'bookmarkTags', 'bookmarkNotes', 'learnedSelections']); 
         domainScores = storedData.domainScores || {}; 
         bookmarkTags = storedData.bookmarkTags || {}; 
+        bookmarkNotes = storedData.bookmarkNotes || {};
+        learnedSelections = storedData.learnedSelections || {};
+        fuzzyStrictness = await loadFuzzyStrictness();
+        const { historyIndexProgress } = await chrome.storage.local.get('historyIndexProgress');
+        updateIndexStatus(historyIndexProgress);
+        const { defaultSearchMode } = await chrome.storage.sync.get({ defaultSearchMode: 'bookmarks' });
+        setSearchMode(defaultSearchMode);
+        searchEngines = await loadSearchEngines();
+        savedSearches = await loadSavedSearches();
+        ({ switchToOpenTab, bulkOpenConfirmThreshold } = await chrome.storage.sync.get({
+            switchToOpenTab: false,
+            bulkOpenConfirmThreshold: 10
+        }));
+        setKeymap(await loadKeymap());
+    }
+
+    /**
+     * Switches the search source and updates the toggle button to match.
+     * @param {string} mode One of the SEARCH_MODES keys.
+     */
+    function setSearchMode(mode) {
+        searchMode = SEARCH_MODES[mode] ? mode : 'bookmarks';
+        const { label, title, placeholder } = SEARCH_MODES[searchMode];
+        historyToggle.textContent = label;
+        historyToggle.title = title;
+        historyToggle.classList.toggle('active', searchMode !== 'bookmarks');
+        searchInput.placeholder = placeholder;
     }
     
+    /**
+     * Shows how far the background worker has got with indexing bookmark history.
+     * @param {{indexed: number, total: number, complete: boolean}|undefined} progress The stored progress record.
+     */
+    function updateIndexStatus(progress) {
+        isIndexingHistory = Boolean(progress && !progress.complete);
+        if (isIndexingHistory) {
+            indexStatus.textContent = `Indexing history ${progress.indexed.toLocaleString()} / ${progress.total.toLocaleString()}...`;
+            indexStatus.style.display = 'block';
+        } else {
+            indexStatus.style.display = 'none';
+        }
+    }
+
+    /**
+     * Remembers a result the user opened: its site for domain boosting, and the URL for
+     * the query typed, so the same query ranks it first next time.
+     * @param {string} url The opened URL.
+     */
+    function trackSelection(url) {
+        trackDomainSelection(url);
+        const query = searchInput.value;
+        if (browseFolderId !== null || !query.trim()) return;
+        learnedSelections = recordSelection(learnedSelections, query, url);
+        chrome.storage.local.set({ learnedSelections });
+    }
+
     async function trackDomainSelection(urlString) { try { const domain = new URL(urlString).hostname; domainScores[domain] = (domainScores[domain] || 0) + 1; await chrome.storage.local.set({ domainScores: domainScores }); } catch (e) { console.warn("Could not parse URL for domain tracking:", urlString); } }
 
+    // --- Bookmark Actions ---
+    actionPanel.addEventListener('keydown', (e) => {
+        // The panel owns the keyboard while it's open.
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeActionPanel();
+        } else if (actionPanelKeyHandler) {
+            actionPanelKeyHandler(e);
+        }
+    });
+
+    /**
+     * Shows a short message at the bottom of the popup, optionally with an undo action.
+     * @param {string} message The message to show.
+     * @param {function(): Promise<*>} [undo] Reverts the action the message is about.
+     */
+    function showToast(message, undo = null) {
+        clearTimeout(toastTimer);
+        pendingUndo = undo;
+        toast.innerHTML = '';
+        const messageEl = document.createElement('span');
+        messageEl.textContent = message;
+        toast.appendChild(messageEl);
+        if (undo) {
+            const undoButton = document.createElement('button');
+            undoButton.className = 'toast-undo';
+            undoButton.textContent = keymap.undo ? `Undo (${keymap.undo})` : 'Undo';
+            undoButton.addEventListener('click', runUndo);
+            toast.appendChild(undoButton);
+        }
+        toast.style.display = 'flex';
+        toastTimer = setTimeout(hideToast, undo ? 8000 : 3000);
+    }
+
+    function hideToast() {
+        toast.style.display = 'none';
+        pendingUndo = null;
+    }
+
+    async function runUndo() {
+        const undo = pendingUndo;
+        hideToast();
+        if (!undo) return;
+        try {
+            await undo();
+            showToast('Undone.');
+        } catch (error) {
+            showToast(`Couldn't undo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Opens the action panel above the results with the given controls.
+     * @param {string} heading The panel title.
+     * @param {Array<HTMLElement>} controls The elements to show in the panel.
+     * @param {string} hint Keyboard hint shown at the bottom of the panel.
+     * @param {function(KeyboardEvent)|null} keyHandler Handles keys other than Escape while the panel is open.
+     */
+    function openActionPanel(heading, controls, hint, keyHandler) {
+        closeActiveTagInput();
+        actionPanel.innerHTML = '';
+        const headingEl = document.createElement('div');
+        headingEl.className = 'panel-heading';
+        headingEl.textContent = heading;
+        const errorEl = document.createElement('div');
+        errorEl.className = 'panel-error';
+        const hintEl = document.createElement('div');
+        hintEl.className = 'panel-hint';
+        hintEl.textContent = hint;
+        actionPanel.append(headingEl, ...controls, errorEl, hintEl);
+        actionPanel.style.display = 'block';
+        actionPanelKeyHandler = keyHandler;
+        isActionPanelOpen = true;
+        controls[0].focus();
+    }
+
+    function closeActionPanel() {
+        actionPanel.style.display = 'none';
+        actionPanel.innerHTML = '';
+        actionPanelKeyHandler = null;
+        isActionPanelOpen = false;
+        searchInput.focus();
+    }
+
+    function showPanelError(message) {
+        const errorEl = actionPanel.querySelector('.panel-error');
+        if (errorEl) errorEl.textContent = message;
+    }
+
+    function createPanelInput(placeholder, value) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'panel-input';
+        input.placeholder = placeholder;
+        input.value = value;
+        input.autocomplete = 'off';
+        return input;
+    }
+
+    /**
+     * Opens the panel for renaming a bookmark and changing its URL.
+     * @param {string} id The bookmark ID.
+     */
+    async function openEditPanel(id) {
+        const node = await getBookmark(id);
+        if (!node) {
+            showToast('This bookmark no longer exists.');
+            return;
+        }
+
+        const titleInput = createPanelInput('Title', node.title);
+        const urlInput = createPanelInput('URL', node.url);
+        openActionPanel('Edit bookmark', [titleInput, urlInput], 'Enter to save \u00B7 Esc to cancel', async (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+
+            const title = titleInput.value.trim();
+            const url = urlInput.value.trim();
+            try {
+                new URL(url);
+            } catch (error) {
+                showPanelError('Enter a valid URL, including http:// or https://.');
+                return;
+            }
+            await chrome.bookmarks.update(id, { title, url });
+            closeActionPanel();
+            showToast(`Saved \u201C${title || url}\u201D.`, () => chrome.bookmarks.update(id, { title: node.title, url: node.url }));
+        });
+        titleInput.select();
+    }
+
+    /**
+     * Opens the folder picker for moving a bookmark.
+     * @param {string} id The bookmark ID.
+     */
+    async function openMovePanel(id) {
+        const node = await getBookmark(id);
+        if (!node) {
+            showToast('This bookmark no longer exists.');
+            return;
+        }
+
+        const folders = await getFolders();
+        const filterInput = createPanelInput('Type to filter folders...', '');
+        const folderList = document.createElement('div');
+        folderList.className = 'folder-list';
+        let matches = [];
+        let highlightedIndex = 0;
+
+        async function moveTo(folder) {
+            if (!folder) return;
+            await chrome.bookmarks.move(id, { parentId: folder.id });
+            closeActionPanel();
+            showToast(`Moved \u201C${node.title}\u201D to ${folder.path}.`, () => chrome.bookmarks.move(id, { parentId: node.parentId, index: node.index }));
+        }
+
+        function renderFolders() {
+            matches = filterFolders(folders, filterInput.value);
+            highlightedIndex = Math.max(0, Math.min(highlightedIndex, matches.length - 1));
+            folderList.innerHTML = '';
+            matches.forEach((folder, index) => {
+                const option = document.createElement('div');
+                option.className = 'folder-option';
+                option.classList.toggle('selected', index === highlightedIndex);
+                option.textContent = folder.id === node.parentId ? `${folder.path} (current)` : folder.path;
+                option.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    moveTo(folder);
+                });
+                folderList.appendChild(option);
+            });
+        }
+
+        filterInput.addEventListener('input', () => {
+            highlightedIndex = 0;
+            renderFolders();
+        });
+        openActionPanel(`Move \u201C${node.title}\u201D`, [filterInput, folderList], '\u2191\u2193 to pick \u00B7 Enter to move \u00B7 Esc to cancel', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (matches.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                highlightedIndex = (highlightedIndex + step + matches.length) % matches.length;
+                renderFolders();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                moveTo(matches[highlightedIndex]);
+            }
+        });
+        renderFolders();
+    }
+
+    /**
+     * Deletes a bookmark, offering to undo the deletion.
+     * @param {string} id The bookmark ID.
+     */
+    async function deleteBookmark(id) {
+        try {
+            const snapshot = await removeBookmark(id);
+            showToast(`Deleted \u201C${snapshot.title}\u201D.`, () => restoreBookmark(snapshot));
+        } catch (error) {
+            showToast(error.message);
+        }
+    }
+
+    async function bookmarkCurrentTab() {
+        try {
+            const { node, created } = await bookmarkActiveTab();
+            if (created) {
+                showToast(`Bookmarked \u201C${node.title}\u201D.`, () => chrome.bookmarks.remove(node.id));
+            } else {
+                showToast(`\u201C${node.title}\u201D is already bookmarked.`);
+            }
+        } catch (error) {
+            showToast(error.message);
+        }
+    }
+
+    // --- Multi-select & Bulk Open ---
+    /**
+     * Marks or unmarks a result for bulk opening. Marks are kept by URL, so they survive
+     * new searches and a set can be collected from several queries.
+     * @param {HTMLElement} item The result row.
+     * @param {boolean} [mark] Whether to mark it; toggles when omitted.
+     */
+    function setMarked(item, mark = !markedUrls.has(item.dataset.url)) {
+        const { url } = item.dataset;
+        if (!url) return;
+        if (mark) {
+            markedUrls.add(url);
+        } else {
+            markedUrls.delete(url);
+        }
+        item.classList.toggle('marked', mark);
+        updateSelectionBar();
+    }
+
+    function clearMarks() {
+        markedUrls.clear();
+        bookmarksList.querySelectorAll('.bookmark-item.marked').forEach(item => item.classList.remove('marked'));
+        updateSelectionBar();
+    }
+
+    function updateSelectionBar() {
+        selectionBar.innerHTML = '';
+        if (markedUrls.size === 0) {
+            selectionBar.style.display = 'none';
+            return;
+        }
+
+        const countEl = document.createElement('span');
+        countEl.textContent = `${markedUrls.size} selected`;
+        selectionBar.appendChild(countEl);
+        const buttons = [
+            { label: 'New window', title: keymap.openSelectionInWindow, action: () => openInBulk('window') },
+            { label: 'Tab group', title: keymap.openSelectionAsGroup, action: () => openInBulk('group') },
+            { label: 'Clear', title: 'Clear the selection', action: clearMarks }
+        ];
+        for (const { label, title, action } of buttons) {
+            const button = document.createElement('button');
+            button.className = 'selection-action';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', action);
+            selectionBar.appendChild(button);
+        }
+        selectionBar.style.display = 'flex';
+    }
+
+    /**
+     * Returns the URLs a bulk open applies to: the marked results if there are any,
+     * otherwise every result shown.
+     * @returns {Array<string>} The URLs that can be opened, without duplicates.
+     */
+    function getBulkOpenUrls() {
+        const urls = markedUrls.size > 0
+            ? [...markedUrls]
+            : getVisibleItems().map(item => item.dataset.url).filter(Boolean);
+        return [...new Set(urls)].filter(isOpenableUrl);
+    }
+
+    function isOpenableUrl(url) {
+        try {
+            return OPENABLE_PROTOCOLS.includes(new URL(url).protocol);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Asks the background worker to open URLs together, then closes the popup.
+     * @param {Array<string>} urls The URLs.
+     * @param {string} target 'window' or 'group'.
+     * @param {string} [groupName] The tab group's title.
+     */
+    async function sendBulkOpen(urls, target, groupName) {
+        const response = await chrome.runtime.sendMessage({ type: 'openUrls', urls, target, groupName });
+        if (response && !response.ok) {
+            showToast(`Couldn't open the tabs: ${response.error}`);
+            return;
+        }
+        window.close();
+    }
+
+    /**
+     * Opens the marked results, or all results, in a new window or as a tab group.
+     * A tab group always asks for its name first; a new window asks for confirmation
+     * when it would open more tabs than the configured threshold.
+     * @param {string} target 'window' or 'group'.
+     */
+    function openInBulk(target) {
+        const urls = getBulkOpenUrls();
+        if (urls.length === 0) {
+            showToast('There are no results to open.');
+            return;
+        }
+        const tabCount = `${urls.length} tab${urls.length === 1 ? '' : 's'}`;
+
+        if (target === 'group') {
+            const query = searchInput.value.trim();
+            const nameInput = createPanelInput('Group name', query.startsWith('/') ? '' : query.replace(/^#/, ''));
+            openActionPanel(`Open ${tabCount} as a tab group`, [nameInput], 'Enter to open \u00B7 Esc to cancel', (e) => {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
+                sendBulkOpen(urls, 'group', nameInput.value.trim());
+            });
+            nameInput.select();
+            return;
+        }
+
+        if (urls.length <= bulkOpenConfirmThreshold) {
+            sendBulkOpen(urls, 'window');
+            return;
+        }
+        const confirmButton = document.createElement('button');
+        confirmButton.className = 'panel-button';
+        confirmButton.textContent = `Open ${tabCount}`;
+        confirmButton.addEventListener('click', () => sendBulkOpen(urls, 'window'));
+        openActionPanel(`Open ${tabCount} in a new window?`, [confirmButton], 'Enter to open \u00B7 Esc to cancel', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            sendBulkOpen(urls, 'window');
+        });
+    }
+
+    /**
+     * Returns true for an input other than the search box, like a result's tags or note
+     * box, where keys edit the text rather than acting on the results.
+     * @param {EventTarget} target The key event's target.
+     */
+    function isInlineEditor(target) {
+        return target !== searchInput && (target.isContentEditable || target.matches('input, textarea, select'));
+    }
+
+    /**
+     * Handles Shift+Up and Shift+Down, which extend the selection like in a file list:
+     * the current result and the next one are marked.
+     * @param {KeyboardEvent} e The keydown event.
+     * @param {Array<HTMLElement>} items The visible result rows.
+     * @returns {boolean} True if the key was handled.
+     */
+    function handleMultiSelectKey(e, items) {
+        if (isInlineEditor(e.target)) return false;
+        if (!e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return false;
+        if ((e.key !== 'ArrowDown' && e.key !== 'ArrowUp') || items.length === 0) return false;
+
+        e.preventDefault();
+        const selectedItem = items[selectedIndex];
+        if (selectedItem) setMarked(selectedItem, true);
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        selectedIndex = Math.min(Math.max(selectedIndex + step, 0), items.length - 1);
+        updateSelection();
+        setMarked(items[selectedIndex], true);
+        return true;
+    }
+
+    // --- Keyboard Shortcuts ---
+    function setKeymap(newKeymap) {
+        keymap = newKeymap;
+        actionsByCombo = getActionsByCombo(keymap);
+        if (markedUrls.size > 0) updateSelectionBar();
+    }
+
+    /**
+     * Wraps a shortcut action that works on the selected result's URL.
+     * @param {function(string, HTMLElement)} action Receives the URL and the result row.
+     */
+    function withSelectedUrl(action) {
+        return (selectedItem) => {
+            if (!selectedItem || !selectedItem.dataset.url) {
+                showToast('Select a bookmark or page first.');
+                return;
+            }
+            action(selectedItem.dataset.url, selectedItem);
+        };
+    }
+
+    /**
+     * Wraps a shortcut action that works on the selected bookmark.
+     * @param {function(string, HTMLElement)} action Receives the bookmark ID and the result row.
+     */
+    function withSelectedBookmark(action) {
+        return (selectedItem) => {
+            if (!selectedItem || !selectedItem.dataset.id) {
+                showToast('Select a bookmark first. History results can\'t be edited.');
+                return;
+            }
+            action(selectedItem.dataset.id, selectedItem);
+        };
+    }
+
+    /**
+     * Moves the selection by a number of results, stopping at the first and last one.
+     * @param {Array<HTMLElement>} items The visible result rows.
+     * @param {number} step How far to move; negative moves up.
+     */
+    function moveSelection(items, step) {
+        if (items.length === 0) return;
+        selectedIndex = Math.min(Math.max(selectedIndex + step, 0), items.length - 1);
+        updateSelection();
+    }
+
+    /**
+     * Returns how many results fit in the list at once, for paging through them.
+     * @param {Array<HTMLElement>} items The visible result rows.
+     */
+    function getPageSize(items) {
+        const rowHeight = items.length > 0 ? items[0].offsetHeight : 0;
+        return rowHeight > 0 ? Math.max(1, Math.floor(bookmarksList.clientHeight / rowHeight) - 1) : 5;
+    }
+
+    function copyToClipboard(text, message) {
+        navigator.clipboard.writeText(text)
+            .then(() => showToast(message))
+            .catch(error => showToast(`Couldn't copy: ${error.message}`));
+    }
+
+    /**
+     * Reads what a result row links to, for copying it.
+     * @param {HTMLElement} item The result row.
+     * @returns {{title: string, url: string, tags: Array<string>}} The link.
+     */
+    function getLink(item) {
+        return {
+            title: item.querySelector('.title').textContent,
+            url: item.dataset.url,
+            tags: item.dataset.id ? bookmarkTags[item.dataset.id] || [] : []
+        };
+    }
+
+    function flashCopyButton(item) {
+        const copyBtn = item.querySelector('.copy-url-btn');
+        copyBtn.innerHTML = successIconSvg;
+        copyBtn.classList.add('success');
+        setTimeout(() => { copyBtn.innerHTML = copyIconSvg; copyBtn.classList.remove('success'); }, 1200);
+    }
+
+    /**
+     * Opens the copy menu: the given result as a single link in one of the LINK_FORMATS,
+     * or every result shown as a list in one of the LIST_FORMATS.
+     * @param {HTMLElement|undefined} item The result to offer single-link formats for.
+     */
+    function openCopyMenu(item) {
+        const entries = [];
+        if (item && item.dataset.url) {
+            const link = getLink(item);
+            for (const [format, label] of Object.entries(LINK_FORMATS)) {
+                entries.push({ label, copy: () => {
+                    flashCopyButton(item);
+                    copyToClipboard(formatLink(link, format), `Copied: ${label}.`);
+                } });
+            }
+        }
+        const links = getVisibleItems().filter(row => row.dataset.url).map(getLink);
+        if (links.length > 0) {
+            const resultCount = `${links.length} result${links.length === 1 ? '' : 's'}`;
+            for (const [format, label] of Object.entries(LIST_FORMATS)) {
+                entries.push({
+                    label: `All ${resultCount} as ${label}`,
+                    copy: () => copyToClipboard(formatLinkList(links, format), `Copied ${resultCount} as ${label}.`)
+                });
+            }
+        }
+        if (entries.length === 0) {
+            showToast('There are no results to copy.');
+            return;
+        }
+
+        const optionList = document.createElement('div');
+        optionList.className = 'folder-list';
+        // Focusable, so the panel receives the menu's keys.
+        optionList.tabIndex = -1;
+        let highlightedIndex = 0;
+
+        function pick(entry) {
+            closeActionPanel();
+            entry.copy();
+        }
+
+        function renderOptions() {
+            optionList.innerHTML = '';
+            entries.forEach((entry, index) => {
+                const option = document.createElement('div');
+                option.className = 'folder-option';
+                option.classList.toggle('selected', index === highlightedIndex);
+                option.textContent = index < 9 ? `${index + 1}. ${entry.label}` : entry.label;
+                option.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    pick(entry);
+                });
+                optionList.appendChild(option);
+            });
+        }
+
+        openActionPanel('Copy', [optionList], '\u2191\u2193 or 1\u20139 to pick \u00B7 Enter to copy \u00B7 Esc to cancel', (e) => {
+            const digit = e.code.match(/^(?:Digit|Numpad)([1-9])$/);
+            if (digit && entries[Number(digit[1]) - 1]) {
+                e.preventDefault();
+                pick(entries[Number(digit[1]) - 1]);
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                highlightedIndex = (highlightedIndex + step + entries.length) % entries.length;
+                renderOptions();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                pick(entries[highlightedIndex]);
+            }
+        });
+        renderOptions();
+    }
+
+    /**
+     * Shows how the selected result's score was made up, biggest part first.
+     * @param {HTMLElement} item The result row.
+     */
+    function openScoreExplanation(item) {
+        const result = item && resultsByRow.get(item);
+        if (!result || !result.breakdown || result.folder) {
+            showToast('Only ranked search results have a score to explain.');
+            return;
+        }
+        const list = document.createElement('div');
+        list.className = 'score-breakdown';
+        // Focusable, so the panel receives Esc.
+        list.tabIndex = -1;
+
+        const rows = Object.entries(result.breakdown)
+            .filter(([, value]) => Math.abs(value) >= 0.05)
+            .sort(([, a], [, b]) => b - a);
+        for (const [part, value] of [...rows, ['total', result.score]]) {
+            const row = document.createElement('div');
+            row.className = part === 'total' ? 'score-row score-total' : 'score-row';
+            const label = document.createElement('span');
+            label.textContent = part === 'total' ? 'Total' : SCORE_PARTS[part];
+            const points = document.createElement('span');
+            points.className = 'score-points';
+            points.textContent = (part !== 'total' && value > 0 ? '+' : '') + value.toFixed(1);
+            row.append(label, points);
+            list.appendChild(row);
+        }
+
+        const title = item.querySelector('.title').textContent;
+        openActionPanel(`Why \u201C${title}\u201D ranks here`, [list], 'Weights are set on the options page \u00B7 Esc to close', null);
+    }
+
+    /**
+     * Browses to the folder a bookmark is in, with the bookmark selected.
+     * @param {string} id The bookmark ID.
+     */
+    async function revealInFolder(id) {
+        const node = await getBookmark(id);
+        if (!node) {
+            showToast('This bookmark no longer exists.');
+            return;
+        }
+        await browseTo(node.parentId);
+        const index = getVisibleItems().findIndex(item => item.dataset.id === id);
+        if (index >= 0) {
+            selectedIndex = index;
+            updateSelection();
+        }
+    }
+
+    // What each KEYMAP_ACTIONS entry does. An action returns false when it doesn't
+    // apply, so the key keeps its usual meaning (Ctrl+Z without anything to undo).
+    const keyActions = {
+        openInBackground: withSelectedUrl((url) => {
+            if (!isOpenableUrl(url)) return;
+            trackSelection(url);
+            chrome.tabs.create({ url, active: false });
+        }),
+        openInNewWindow: withSelectedUrl((url) => {
+            if (!isOpenableUrl(url)) return;
+            trackSelection(url);
+            chrome.windows.create({ url });
+            window.close();
+        }),
+        copyUrl: withSelectedUrl(url => copyToClipboard(url, 'Copied the URL.')),
+        copyMarkdown: withSelectedUrl((url, item) => {
+            copyToClipboard(formatLink(getLink(item), 'markdown'), 'Copied as a Markdown link.');
+        }),
+        copyMenu: (selectedItem) => openCopyMenu(selectedItem),
+        editTags: withSelectedBookmark((id, item) => item.querySelector('.edit-tags-btn').click()),
+        editBookmark: withSelectedBookmark(openEditPanel),
+        moveBookmark: withSelectedBookmark(openMovePanel),
+        deleteBookmark: withSelectedBookmark(deleteBookmark),
+        revealInFolder: withSelectedBookmark(revealInFolder),
+        bookmarkCurrentTab: () => bookmarkCurrentTab(),
+        undo: () => {
+            if (!pendingUndo) return false;
+            runUndo();
+        },
+        toggleMark: (selectedItem) => {
+            if (selectedItem) setMarked(selectedItem);
+        },
+        openSelectionInWindow: () => openInBulk('window'),
+        openSelectionAsGroup: () => openInBulk('group'),
+        pageDown: (selectedItem, items) => moveSelection(items, getPageSize(items)),
+        pageUp: (selectedItem, items) => moveSelection(items, -getPageSize(items)),
+        firstResult: (selectedItem, items) => moveSelection(items, -items.length),
+        lastResult: (selectedItem, items) => moveSelection(items, items.length),
+        explainScore: (selectedItem) => openScoreExplanation(selectedItem),
+        showCheatSheet: () => showCheatSheet()
+    };
+
+    /**
+     * Runs the action the keymap binds to a key press, if any. Shortcuts that type a
+     * character, like "?", only count while the search box is empty.
+     * @param {KeyboardEvent} e The keydown event.
+     * @param {Array<HTMLElement>} items The visible result rows.
+     * @returns {boolean} True if the key was handled.
+     */
+    function handleKeymapKey(e, items) {
+        if (isInlineEditor(e.target)) return false;
+        const combo = eventToCombo(e);
+        const actionId = combo && actionsByCombo.get(combo);
+        if (!actionId || !keyActions[actionId]) return false;
+        if (isCharacterCombo(combo) && searchInput.value !== '') return false;
+
+        if (keyActions[actionId](items[selectedIndex], items) === false) return false;
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Lists every shortcut in place of the results: the configurable ones from the
+     * keymap, then the keys the popup handles itself.
+     */
+    function showCheatSheet() {
+        closeActiveTagInput();
+        cheatSheet.innerHTML = '';
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        heading.textContent = 'Keyboard shortcuts';
+        cheatSheet.appendChild(heading);
+
+        const rows = [
+            ...KEYMAP_ACTIONS.filter(({ id }) => keymap[id]).map(({ id, label }) => [keymap[id], label]),
+            ['Enter', 'Open, or switch to the open tab'],
+            ['\u2191 \u2193', 'Move through the results'],
+            ['Shift+\u2191 \u2193', 'Extend the selection'],
+            ['Alt+1 \u2026 9', 'Open a saved search'],
+            ['Backspace', 'Up a folder while browsing'],
+            ['Esc', 'Close']
+        ];
+        for (const [combo, label] of rows) {
+            const row = document.createElement('div');
+            row.className = 'cheat-sheet-row';
+            const key = document.createElement('kbd');
+            key.textContent = combo;
+            const labelEl = document.createElement('span');
+            labelEl.textContent = label;
+            row.append(key, labelEl);
+            cheatSheet.appendChild(row);
+        }
+
+        const hint = document.createElement('div');
+        hint.className = 'panel-hint';
+        const optionsLink = document.createElement('a');
+        optionsLink.href = '#';
+        optionsLink.textContent = 'Change shortcuts';
+        optionsLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            chrome.runtime.openOptionsPage();
+        });
+        hint.append(optionsLink, ' \u00B7 Esc to close');
+        cheatSheet.appendChild(hint);
+
+        appContainer.classList.add('is-cheat-sheet-open');
+        cheatSheet.style.display = 'block';
+    }
+
+    function hideCheatSheet() {
+        appContainer.classList.remove('is-cheat-sheet-open');
+        cheatSheet.style.display = 'none';
+    }
+
+    // --- Tag Suggestions ---
+    /**
+     * Finds the tag being typed at the caret: a `#tag` in the search box, or the
+     * comma-separated entry of a tags input.
+     * @param {HTMLInputElement} input The search box or a tags input.
+     * @returns {{start: number, end: number, partial: string, exclude: Array<string>, isSearch: boolean}|null}
+     *     The range of the tag in the input's value and the text typed before the caret.
+     */
+    function getTagTokenAtCaret(input) {
+        const { value } = input;
+        const caret = input.selectionStart;
+
+        if (input === searchInput) {
+            const match = value.substring(0, caret).match(/(?:^|\s)-?#([^\s#]*)$/);
+            if (!match) return null;
+            const end = caret + value.substring(caret).match(/^\S*/)[0].length;
+            return { start: caret - match[1].length, end, partial: match[1], exclude: [], isSearch: true };
+        }
+
+        const start = value.lastIndexOf(',', caret - 1) + 1;
+        const nextComma = value.indexOf(',', caret);
+        const end = nextComma === -1 ? value.length : nextComma;
+        const otherTags = (value.substring(0, start) + value.substring(end)).split(',').map(t => t.trim()).filter(Boolean);
+        return { start, end, partial: value.substring(start, caret).trim(), exclude: otherTags, isSearch: false };
+    }
+
+    function hideTagSuggestions() {
+        tagSuggestions = null;
+        tagSuggestionList.style.display = 'none';
+    }
+
+    function renderTagSuggestions() {
+        tagSuggestionList.innerHTML = '';
+        tagSuggestions.items.forEach(({ tag, count }, i) => {
+            const option = document.createElement('div');
+            option.className = 'tag-suggestion';
+            option.classList.toggle('selected', i === tagSuggestions.selected);
+            const name = document.createElement('span');
+            name.textContent = tag;
+            const countEl = document.createElement('span');
+            countEl.className = 'tag-suggestion-count';
+            countEl.textContent = count;
+            option.append(name, countEl);
+            // mousedown rather than click, so the input keeps focus.
+            option.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                acceptTagSuggestion(tag);
+            });
+            tagSuggestionList.appendChild(option);
+        });
+    }
+
+    /**
+     * Shows, updates or hides the suggestion dropdown for the tag being typed in an input.
+     * @param {HTMLInputElement} input The search box or a tags input.
+     */
+    function updateTagSuggestions(input) {
+        const token = getTagTokenAtCaret(input);
+        // A tags input only gets suggestions once something is typed; "#" alone lists the top tags.
+        if (!token || (!token.isSearch && !token.partial)) {
+            hideTagSuggestions();
+            return;
+        }
+
+        // A search filter ends at whitespace, so tags containing spaces can't be searched for.
+        const vocabulary = collectTagCounts(bookmarkTags).filter(({ tag }) => !token.isSearch || !/\s/.test(tag));
+        const items = suggestTags(token.partial, vocabulary, { exclude: token.exclude });
+        if (items.length === 0 || (items.length === 1 && items[0].tag === token.partial)) {
+            hideTagSuggestions();
+            return;
+        }
+
+        tagSuggestions = { input, token, items, selected: -1 };
+        // The dropdown sits in the flow under its input, so the popup grows to fit it.
+        const anchor = token.isSearch ? searchInput.closest('.search-wrapper') : input;
+        anchor.insertAdjacentElement('afterend', tagSuggestionList);
+        tagSuggestionList.style.display = 'block';
+        renderTagSuggestions();
+    }
+
+    /**
+     * Replaces the tag being typed with a suggestion.
+     * @param {string} tag The suggested tag.
+     */
+    function acceptTagSuggestion(tag) {
+        const { input, token } = tagSuggestions;
+        const before = input.value.substring(0, token.start);
+        const after = input.value.substring(token.end);
+        const replacement = token.isSearch
+            ? tag + (after.startsWith(' ') ? '' : ' ')
+            : (token.start > 0 ? ' ' : '') + tag + (after ? '' : ', ');
+
+        input.value = before + replacement + after;
+        const caret = before.length + replacement.length;
+        input.setSelectionRange(caret, caret);
+        hideTagSuggestions();
+
+        if (token.isSearch) {
+            clearTimeout(debounceTimer);
+            executeSearch();
+        }
+    }
+
+    /**
+     * Handles arrow keys, Tab, Enter and Escape while the suggestion dropdown is open.
+     * Enter only accepts a suggestion that was picked with the arrow keys.
+     * @returns {boolean} True if the key was handled.
+     */
+    function handleTagSuggestionKey(e) {
+        if (!tagSuggestions || e.target !== tagSuggestions.input) return false;
+        const count = tagSuggestions.items.length;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const { selected } = tagSuggestions;
+            tagSuggestions.selected = e.key === 'ArrowDown'
+                ? (selected + 1) % count
+                : (selected <= 0 ? count : selected) - 1;
+            renderTagSuggestions();
+        } else if (e.key === 'Tab' && !e.shiftKey) {
+            acceptTagSuggestion(tagSuggestions.items[Math.max(tagSuggestions.selected, 0)].tag);
+        } else if (e.key === 'Enter' && tagSuggestions.selected >= 0) {
+            acceptTagSuggestion(tagSuggestions.items[tagSuggestions.selected].tag);
+        } else if (e.key === 'Escape') {
+            hideTagSuggestions();
+        } else {
+            return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
     initialize().then(() => {
         executeSearch();
     });
 
+    // Keep in sync with the cache the background worker maintains. Results are only
+    // refreshed once history indexing is done, so rankings don't shift under the cursor.
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' && changes.searchEngines) {
+            loadSearchEngines().then(engines => { searchEngines = engines; });
+        }
+        if (areaName === 'sync' && changes.switchToOpenTab) {
+            switchToOpenTab = Boolean(changes.switchToOpenTab.newValue);
+        }
+        if (areaName === 'sync' && changes.fuzzyStrictness) {
+            loadFuzzyStrictness().then(strictness => { fuzzyStrictness = strictness; });
+        }
+        if (areaName === 'sync' && changes.keymap) {
+            loadKeymap().then(setKeymap);
+        }
+        if (areaName === 'sync' && changes.bulkOpenConfirmThreshold) {
+            bulkOpenConfirmThreshold = changes.bulkOpenConfirmThreshold.newValue ?? 10;
+        }
+        if (areaName === 'sync' && changes.savedSearches) {
+            savedSearches = changes.savedSearches.newValue || [];
+            if (!searchInput.value.trim() && !activeTagInput && !isActionPanelOpen) executeSearch();
+        }
+        if (areaName !== 'local') return;
+        if (changes.historyIndexProgress) {
+            updateIndexStatus(changes.historyIndexProgress.newValue);
+        }
+        if (changes.cachedBookmarks && changes.cachedBookmarks.newValue) {
+            allBookmarks = changes.cachedBookmarks.newValue;
+        }
+        if (changes.searchIndex) {
+            searchIndex = changes.searchIndex.newValue || null;
+        }
+        if (changes.bookmarkTags) {
+            bookmarkTags = changes.bookmarkTags.newValue || {};
+        }
+        if (changes.learnedSelections) {
+            learnedSelections = changes.learnedSelections.newValue || {};
+        }
+        if (changes.bookmarkNotes) {
+            bookmarkNotes = changes.bookmarkNotes.newValue || {};
+        }
+        if ((changes.cachedBookmarks || changes.historyIndexProgress || changes.bookmarkTags || changes.bookmarkNotes) && !isIndexingHistory && !activeTagInput && !isActionPanelOpen) {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(executeSearch, 150);
+        }
+    });
+
     searchInput.addEventListener('input', () => {
         clearTimeout(debounceTimer);
         debounceTimer = setTimeout(executeSearch, 150);
+        updateTagSuggestions(searchInput);
+    });
+
+    bookmarksList.addEventListener('input', (e) => {
+        if (e.target.classList.contains('tags-input')) {
+            updateTagSuggestions(e.target);
+        }
+    });
+
+    document.addEventListener('focusout', (e) => {
+        if (tagSuggestions && e.target === tagSuggestions.input) {
+            hideTagSuggestions();
+        }
     });
     
     searchInput.addEventListener('focus', closeActiveTagInput);
 
     historyToggle.addEventListener('click', function() {
         closeActiveTagInput();
-        if (searchMode === 'bookmarks') {
-            searchMode = 'history';
-            historyToggle.textContent = 'H';
-            historyToggle.title = 'Search History';
-            historyToggle.classList.add('active');
-            searchInput.placeholder = 'Search history, :Google, or ::AI search...';
-        } else {
-            searchMode = 'bookmarks';
-            historyToggle.textContent = 'B';
-            historyToggle.title = 'Search Bookmarks';
-            historyToggle.classList.remove('active');
-            searchInput.placeholder = 'Search bookmarks, #tag, :Google, or ::AI search...';
-        }
+        setSearchMode(SEARCH_MODES[searchMode].next);
         searchInput.focus();
         executeSearch();
     });
@@ -275,7 +1639,7 @@ document.addEventListener('DOMContentLoaded', function () {
         if (e.button === 1 && e.target.closest('.bookmark-item')) {
             e.preventDefault();
         }
-        if (e.target.closest('.tags-input')) {
+        if (e.target.closest('.tags-input, .note-input')) {
             isDraggingInTagInput = true;
         }
     });
@@ -289,20 +1653,34 @@ document.addEventListener('DOMContentLoaded', function () {
         if (!targetItem) return;
         
         const actionButton = e.target.closest('.action-btn');
-        const tagInput = e.target.closest('.tags-input');
+        const tagInput = e.target.closest('.tags-input, .note-input, .tag-suggestions, .bookmark-path');
         if (actionButton || tagInput) {
             return;
         }
 
+        if (targetItem.dataset.query) {
+            if (e.button === 0) openSavedSearch(targetItem.dataset.query);
+            return;
+        }
+        if (targetItem.dataset.folderId) {
+            if (e.button === 0) browseTo(targetItem.dataset.folderId);
+            return;
+        }
+
+        if (e.button === 0 && e.shiftKey) {
+            setMarked(targetItem);
+            return;
+        }
+
         const url = targetItem.dataset.url;
         const isMiddleClick = e.button === 1;
         const isCtrlClick = e.button === 0 && (e.ctrlKey || e.metaKey);
 
         if (isMiddleClick || isCtrlClick) {
-            trackDomainSelection(url);
+            trackSelection(url);
             chrome.tabs.create({ url: url, active: false });
         } else if (e.button === 0) {
-            navigateToUrl(url);
+            navigateToUrl(url, getOpenTab(targetItem));
         }
     });
 
@@ -310,13 +1688,16 @@ document.addEventListener('DOMContentLoaded', function () {
         e.preventDefault(); e.stopPropagation();
         const copyBtn = e.target.closest('.copy-url-btn');
         const editBtn = e.target.closest('.edit-tags-btn');
+        const pathEl = e.target.closest('.bookmark-path');
+
+        if (pathEl) {
+            const bookmark = allBookmarks.find(bm => bm.id === e.target.closest('.bookmark-item').dataset.id);
+            if (bookmark) browseTo(bookmark.parentId);
+            return;
+        }
 
         if (copyBtn) {
-            const url = e.target.closest('.bookmark-item').dataset.url;
-            navigator.clipboard.writeText(url);
-            copyBtn.innerHTML = successIconSvg;
-            copyBtn.classList.add('success');
-            setTimeout(() => { copyBtn.innerHTML = copyIconSvg; copyBtn.classList.remove('success'); }, 1200);
+            openCopyMenu(e.target.closest('.bookmark-item'));
             return;
         }
 
@@ -324,12 +1705,18 @@ document.addEventListener('DOMContentLoaded', function () {
             const bookmarkElement = e.target.closest('.bookmark-item');
             const tagsInput = bookmarkElement.querySelector('.tags-input');
             const tagsContainer = bookmarkElement.querySelector('.tags-container');
-            const url = bookmarkElement.dataset.url;
+            const noteInput = bookmarkElement.querySelector('.note-input');
+            const noteEl = bookmarkElement.querySelector('.note-snippet');
+            const id = bookmarkElement.dataset.id;
             
             const isEditing = tagsInput.style.display === 'block';
             if (isEditing) {
                 const newTags = tagsInput.value.split(',').map(t => t.trim()).filter(Boolean);
-                saveTagsForUrl(url, newTags);
+                const newNote = noteInput.value.trim();
+                saveTagsForBookmark(id, newTags);
+                saveNoteForBookmark(id, newNote);
+                renderNoteSnippet(noteEl, newNote, []);
+                noteInput.style.display = 'none';
                 tagsContainer.innerHTML = '';
                 newTags.forEach(tagText => {
                     const tagElement = document.createElement('span');
@@ -344,6 +1731,8 @@ document.addEventListener('DOMContentLoaded', function () {
                 closeActiveTagInput();
                 tagsInput.style.display = 'block';
                 tagsContainer.style.display = 'none';
+                noteInput.style.display = 'block';
+                noteEl.style.display = 'none';
                 tagsInput.focus();
                 activeTagInput = { element: tagsInput, save: () => editBtn.click() };
             }
@@ -351,11 +1740,55 @@ document.addEventListener('DOMContentLoaded', function () {
     });
 
     document.addEventListener('keydown', function (e) {
+        if (handleTagSuggestionKey(e)) {
+            return;
+        }
+        if (cheatSheet.style.display !== 'none') {
+            // Esc or the cheat sheet's own key closes it; any other key closes it and carries on.
+            const combo = eventToCombo(e);
+            if (!combo) return;
+            hideCheatSheet();
+            if (e.key === 'Escape' || combo === keymap.showCheatSheet) {
+                e.preventDefault();
+                return;
+            }
+        }
         if (e.key === 'Escape') {
             window.close();
             return;
         }
-        const items = Array.from(bookmarksList.querySelectorAll('.bookmark-item')).filter(item => item.style.display !== 'none');
+        // The note box takes Shift+Enter, the arrows and shortcuts as typing; plain Enter saves.
+        if (e.target.classList.contains('note-input') && (e.key !== 'Enter' || e.shiftKey)) {
+            return;
+        }
+        const items = getVisibleItems();
+
+        if (handleKeymapKey(e, items)) {
+            return;
+        }
+        if (handleMultiSelectKey(e, items)) {
+            return;
+        }
+
+        // Backspace on an empty browse filter goes up a folder. At the top it just deletes
+        // the "/", which leaves browse mode.
+        if (e.key === 'Backspace' && e.target === searchInput && searchInput.value === '/' &&
+            browseFolderId && browseFolderId !== ROOT_FOLDER_ID) {
+            e.preventDefault();
+            browseUp();
+            return;
+        }
+
+        // Alt+1..9 opens the corresponding saved search from anywhere in the popup.
+        const shortcutMatch = e.altKey && !e.ctrlKey && !e.metaKey && e.code.match(/^Digit([1-9])$/);
+        if (shortcutMatch) {
+            const savedSearch = savedSearches[Number(shortcutMatch[1]) - 1];
+            if (savedSearch) {
+                e.preventDefault();
+                openSavedSearch(savedSearch.query);
+                return;
+            }
+        }
 
         if (e.key === 'Enter') {
             e.preventDefault();
@@ -365,15 +1798,22 @@ document.addEventListener('DOMContentLoaded', function () {
                 return;
             }
 
-            const query = searchInput.value.trim();
-            if (query.startsWith('::')) { const googleQuery = query.substring(2).trim(); if (googleQuery) { const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(googleQuery)}&udm=50`; chrome.tabs.create({ url: searchUrl }); window.close(); } return; }
-            if (query.startsWith(':')) { const googleQuery = query.substring(1).trim(); if (googleQuery) { const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(googleQuery)}`; chrome.tabs.create({ url: searchUrl }); window.close(); } return; }
+            const engineMatch = matchSearchEngine(searchInput.value.trim(), searchEngines);
+            if (engineMatch) { if (engineMatch.term) { chrome.tabs.create({ url: buildSearchUrl(engineMatch.engine, engineMatch.term) }); window.close(); } return; }
 
             if (selectedIndex >= 0 && selectedIndex < items.length) {
                 const selectedItem = items[selectedIndex];
+                if (selectedItem.dataset.query) {
+                    openSavedSearch(selectedItem.dataset.query);
+                    return;
+                }
+                if (selectedItem.dataset.folderId) {
+                    browseTo(selectedItem.dataset.folderId);
+                    return;
+                }
                 const urlToOpen = selectedItem.dataset.url;
                 if (urlToOpen) {
-                    navigateToUrl(urlToOpen);
+                    navigateToUrl(urlToOpen, getOpenTab(selectedItem));
                 }
             }
         }
@@ -0,0 +1,172 @@
+/**
+ * Parses search queries into clauses for customSearch and searchHistory.
+ *
+ * Grammar (whitespace separates atoms, OR joins adjacent atoms of the same kind):
+ *     query  := clause*
+ *     clause := atom ('OR' atom)*
+ *     atom   := ['-'] ( '"' phrase '"' | 'site:' value | 'in:' value | '#' tag | word )
+ *
+ * An operator value may itself be quoted, e.g. in:"Reading List/Later".
+ */
+
+const OPERATORS = {
+    site: 'site',
+    in: 'folder'
+};
+
+/**
+ * Strips the scheme, "www." and any path from a site: value.
+ */
+function normalizeSite(value) {
+    return value.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split('/')[0];
+}
+
+/**
+ * Reads a quoted string starting at the opening quote.
+ * @returns {{value: string, end: number, terminated: boolean}} The contents and the position after the closing quote.
+ */
+function readQuoted(query, start) {
+    const close = query.indexOf('"', start + 1);
+    if (close === -1) {
+        return { value: query.substring(start + 1), end: query.length, terminated: false };
+    }
+    return { value: query.substring(start + 1, close), end: close + 1, terminated: true };
+}
+
+/**
+ * Splits a query into raw atoms, handling quotes and the leading "-" of exclusions.
+ */
+function scanAtoms(query, errors) {
+    const atoms = [];
+    let pos = 0;
+
+    while (pos < query.length) {
+        if (/\s/.test(query[pos])) {
+            pos++;
+            continue;
+        }
+
+        let negated = false;
+        if (query[pos] === '-' && pos + 1 < query.length && !/\s/.test(query[pos + 1])) {
+            negated = true;
+            pos++;
+        }
+
+        if (query[pos] === '"') {
+            const quoted = readQuoted(query, pos);
+            if (!quoted.terminated) errors.push('Missing closing quote: the phrase runs to the end of the query.');
+            atoms.push({ text: quoted.value, quoted: true, negated });
+            pos = quoted.end;
+            continue;
+        }
+
+        const start = pos;
+        while (pos < query.length && !/\s/.test(query[pos])) {
+            // An operator with a quoted value, e.g. in:"Reading List"
+            if (query[pos] === '"' && /^[a-z]+:$/i.test(query.substring(start, pos))) break;
+            pos++;
+        }
+        const text = query.substring(start, pos);
+
+        if (query[pos] === '"') {
+            const quoted = readQuoted(query, pos);
+            if (!quoted.terminated) errors.push('Missing closing quote: the phrase runs to the end of the query.');
+            atoms.push({ text, operatorValue: quoted.value, quoted: false, negated });
+            pos = quoted.end;
+        } else {
+            atoms.push({ text, quoted: false, negated });
+        }
+    }
+    return atoms;
+}
+
+/**
+ * Turns a raw atom into a typed term.
+ * @returns {{kind: string, value: string, isPhrase: boolean, negated: boolean}|null} The term, or null to skip the atom.
+ */
+function classifyAtom(atom, errors) {
+    const { negated } = atom;
+
+    if (atom.quoted) {
+        const value = atom.text.trim().toLowerCase();
+        return value ? { kind: 'text', value, isPhrase: true, negated } : null;
+    }
+
+    const operatorMatch = atom.text.match(/^([a-z]+):(.*)$/i);
+    if (operatorMatch && !operatorMatch[2].startsWith('//')) {
+        const name = operatorMatch[1].toLowerCase();
+        const rawValue = atom.operatorValue !== undefined ? atom.operatorValue : operatorMatch[2];
+
+        if (OPERATORS[name]) {
+            const value = rawValue.trim().toLowerCase();
+            if (!value) {
+                errors.push(`"${name}:" needs a value, e.g. ${name === 'site' ? 'site:github.com' : 'in:Work/Infra'}.`);
+                return null;
+            }
+            const kind = OPERATORS[name];
+            return { kind, value: kind === 'site' ? normalizeSite(value) : value, isPhrase: false, negated };
+        }
+        errors.push(`Unknown operator "${operatorMatch[1]}:" was searched as text. Known operators: site:, in:.`);
+    }
+
+    const value = (atom.operatorValue !== undefined ? `${atom.text}${atom.operatorValue}` : atom.text).toLowerCase();
+    if (value.startsWith('#')) {
+        return { kind: 'tag', value: value.substring(1), isPhrase: false, negated };
+    }
+    return { kind: 'text', value, isPhrase: false, negated };
+}
+
+/**
+ * Parses a search query.
+ * @param {string} query The raw query typed by the user.
+ * @returns {{clauses: Array, excluded: Array, errors: Array<string>}} The parsed query.
+ *     Each clause has a `kind` ('text', 'tag', 'site' or 'folder') and one or more
+ *     `alternatives` ({value, isPhrase}), any of which satisfies it. `excluded` lists the
+ *     negated terms ({kind, value, isPhrase}). `errors` holds readable problems with the
+ *     query; parsing never fails outright.
+ */
+export function parseQuery(query) {
+    const errors = [];
+    const clauses = [];
+    const excluded = [];
+    let pendingOr = false;
+    let lastWasExcluded = false;
+
+    for (const atom of scanAtoms(query, errors)) {
+        if (atom.text === 'OR' && !atom.quoted && !atom.negated) {
+            if (lastWasExcluded) {
+                errors.push('"OR" can\'t be combined with an excluded (-) term.');
+            } else if (clauses.length === 0 || pendingOr) {
+                errors.push('"OR" needs a term on both sides.');
+            } else {
+                pendingOr = true;
+            }
+            continue;
+        }
+
+        const term = classifyAtom(atom, errors);
+        if (!term) continue;
+
+        if (term.negated) {
+            if (pendingOr) errors.push('"OR" can\'t be combined with an excluded (-) term.');
+            pendingOr = false;
+            lastWasExcluded = true;
+            excluded.push({ kind: term.kind, value: term.value, isPhrase: term.isPhrase });
+            continue;
+        }
+
+        const alternative = { value: term.value, isPhrase: term.isPhrase };
+        const previous = clauses[clauses.length - 1];
+        if (pendingOr && previous.kind === term.kind) {
+            previous.alternatives.push(alternative);
+        } else {
+            if (pendingOr) errors.push(`"OR" can only join terms of the same kind; ${previous.kind} and ${term.kind} were kept separate.`);
+            clauses.push({ kind: term.kind, alternatives: [alternative] });
+        }
+        pendingOr = false;
+        lastWasExcluded = false;
+    }
+
+    if (pendingOr) errors.push('"OR" needs a term on both sides.');
+    return { clauses, excluded, errors };
+}
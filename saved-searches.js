@@ -0,0 +1,46 @@
+/**
+ * Saved searches: named queries such as "#work -#archived site:github.com" that the
+ * popup lists as virtual folders when the search box is empty. The list is edited on
+ * the options page and stored in chrome.storage.sync.
+ */
+import { parseQuery } from './query-parser.js';
+
+/**
+ * Loads the saved searches.
+ * @returns {Promise<Array<{name: string, query: string}>>} The saved searches, in display order.
+ */
+export async function loadSavedSearches() {
+    const { savedSearches } = await chrome.storage.sync.get({ savedSearches: [] });
+    return savedSearches;
+}
+
+/**
+ * Checks a list of saved searches for problems.
+ * @param {Array} savedSearches The saved searches to check.
+ * @returns {Array<string>} Readable error messages; empty if the list is valid.
+ */
+export function validateSavedSearches(savedSearches) {
+    const errors = [];
+    const seenNames = new Set();
+
+    savedSearches.forEach((savedSearch, i) => {
+        const label = `Saved search ${i + 1}${savedSearch.name ? ` (${savedSearch.name})` : ''}`;
+
+        if (!savedSearch.name) {
+            errors.push(`${label}: the name is empty.`);
+        } else if (seenNames.has(savedSearch.name.toLowerCase())) {
+            errors.push(`${label}: the name "${savedSearch.name}" is used more than once.`);
+        }
+        seenNames.add(savedSearch.name.toLowerCase());
+
+        if (!savedSearch.query) {
+            errors.push(`${label}: the query is empty.`);
+        } else {
+            const { errors: queryErrors } = parseQuery(savedSearch.query);
+            if (queryErrors.length > 0) {
+                errors.push(`${label}: ${queryErrors[0]}`);
+            }
+        }
+    });
+    return errors;
+}
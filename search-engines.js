@@ -0,0 +1,96 @@
+/**
+ * Search engine shortcuts: a query that starts with an engine's prefix (e.g. ":" or
+ * "!jira") is sent to that engine's URL template instead of searching bookmarks.
+ * The list is edited on the options page and stored in chrome.storage.sync.
+ */
+export const DEFAULT_SEARCH_ENGINES = [
+    { prefix: '::', name: 'Google AI Mode', url: 'https://www.google.com/search?q={query}&udm=50' },
+    { prefix: ':', name: 'Google', url: 'https://www.google.com/search?q={query}' }
+];
+
+// Characters that already mean something at the start of a search query.
+const RESERVED_PREFIX_START = /^[#\-"/]/;
+
+/**
+ * Loads the configured search engines.
+ * @returns {Promise<Array<{prefix: string, name: string, url: string}>>} The engines.
+ */
+export async function loadSearchEngines() {
+    const { searchEngines } = await chrome.storage.sync.get({ searchEngines: DEFAULT_SEARCH_ENGINES });
+    return searchEngines;
+}
+
+/**
+ * Finds the engine a query is addressed to. The longest matching prefix wins. A prefix
+ * ending in a letter or digit ("!jira", ":d") has to be followed by a space, so ":dog"
+ * still goes to the ":" engine.
+ * @param {string} query The trimmed search query.
+ * @param {Array} engines The configured search engines.
+ * @returns {{engine: object, term: string}|null} The engine and the text to search for.
+ */
+export function matchSearchEngine(query, engines) {
+    const byPrefixLength = [...engines].sort((a, b) => b.prefix.length - a.prefix.length);
+    for (const engine of byPrefixLength) {
+        if (!engine.prefix || !query.startsWith(engine.prefix)) continue;
+
+        const rest = query.substring(engine.prefix.length);
+        const needsSeparator = /[\p{L}\p{N}]$/u.test(engine.prefix);
+        if (needsSeparator && rest.length > 0 && !/^\s/.test(rest)) continue;
+
+        return { engine, term: rest.trim() };
+    }
+    return null;
+}
+
+/**
+ * Fills an engine's URL template with a search term.
+ * @param {object} engine The search engine.
+ * @param {string} term The text to search for.
+ * @returns {string} The search URL.
+ */
+export function buildSearchUrl(engine, term) {
+    return engine.url.replace(/\{query\}/g, encodeURIComponent(term));
+}
+
+/**
+ * Checks a list of search engines for problems.
+ * @param {Array} engines The engines to check.
+ * @returns {Array<string>} Readable error messages; empty if the list is valid.
+ */
+export function validateSearchEngines(engines) {
+    const errors = [];
+    const seenPrefixes = new Set();
+
+    engines.forEach((engine, i) => {
+        const label = `Engine ${i + 1}${engine.name ? ` (${engine.name})` : ''}`;
+
+        if (!engine.prefix) {
+            errors.push(`${label}: the prefix is empty.`);
+        } else if (/\s/.test(engine.prefix)) {
+            errors.push(`${label}: the prefix can't contain spaces.`);
+        } else if (/^[\p{L}\p{N}]/u.test(engine.prefix) || RESERVED_PREFIX_START.test(engine.prefix)) {
+            errors.push(`${label}: the prefix has to start with a symbol other than #, -, " or /, e.g. ":d" or "!jira".`);
+        } else if (seenPrefixes.has(engine.prefix)) {
+            errors.push(`${label}: the prefix "${engine.prefix}" is used more than once.`);
+        }
+        seenPrefixes.add(engine.prefix);
+
+        if (!engine.name) {
+            errors.push(`${label}: the name is empty.`);
+        }
+
+        if (!engine.url.includes('{query}')) {
+            errors.push(`${label}: the URL template must contain {query}.`);
+        } else {
+            try {
+                const { protocol } = new URL(buildSearchUrl(engine, 'test'));
+                if (protocol !== 'http:' && protocol !== 'https:') {
+                    errors.push(`${label}: the URL must start with http:// or https://.`);
+                }
+            } catch (e) {
+                errors.push(`${label}: the URL template isn't a valid URL.`);
+            }
+        }
+    });
+    return errors;
+}
@@ -0,0 +1,156 @@
+import { foldText } from './text-utils.js';
+
+/**
+ * Inverted index over the titles, URLs and folder paths of the cached bookmarks.
+ *
+ * `tokens` maps every word (a maximal run of letters and digits, folded by foldText) to the
+ * IDs of the bookmarks containing it, and `trigrams` maps every three-character slice
+ * of a word to the words containing it. Both are plain objects so the index can be
+ * stored in chrome.storage.local next to cachedBookmarks.
+ */
+export const SEARCH_INDEX_VERSION = 2;
+
+/**
+ * Splits text into lower-case, accent-free words of letters and digits.
+ * @param {string} text The text to split.
+ * @returns {Array<string>} The words, in order of appearance.
+ */
+export function tokenize(text) {
+    return foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Returns the distinct three-character slices of a word.
+ */
+function trigramsOf(token) {
+    const grams = new Set();
+    for (let i = 0; i + 3 <= token.length; i++) {
+        grams.add(token.substring(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Returns the distinct words of the indexed fields of a bookmark.
+ */
+function bookmarkTokens(bookmark) {
+    return new Set([...tokenize(bookmark.title), ...tokenize(bookmark.url), ...tokenize(bookmark.path)]);
+}
+
+/**
+ * Looks up a key in one of the index maps without falling through to Object.prototype.
+ */
+function lookup(map, key) {
+    return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined;
+}
+
+/**
+ * Removes a value from an array-valued map entry, deleting the entry once it's empty.
+ * @returns {boolean} True if the entry was deleted.
+ */
+function removeFromList(map, key, value) {
+    const list = lookup(map, key);
+    if (!list) return false;
+    const position = list.indexOf(value);
+    if (position > -1) list.splice(position, 1);
+    if (list.length > 0) return false;
+    delete map[key];
+    return true;
+}
+
+/**
+ * Creates an empty search index.
+ * @returns {object} The index.
+ */
+export function createEmptySearchIndex() {
+    return { version: SEARCH_INDEX_VERSION, tokens: {}, trigrams: {} };
+}
+
+/**
+ * Builds a search index for a list of bookmarks.
+ * @param {Array} bookmarks The cached bookmarks.
+ * @returns {object} The index.
+ */
+export function createSearchIndex(bookmarks) {
+    const index = createEmptySearchIndex();
+    for (const bookmark of bookmarks) {
+        addToSearchIndex(index, bookmark);
+    }
+    return index;
+}
+
+/**
+ * Adds a bookmark to the index.
+ * @param {object} index The index to update in place.
+ * @param {object} bookmark The cached bookmark.
+ */
+export function addToSearchIndex(index, bookmark) {
+    for (const token of bookmarkTokens(bookmark)) {
+        let ids = lookup(index.tokens, token);
+        if (!ids) {
+            ids = index.tokens[token] = [];
+            for (const gram of trigramsOf(token)) {
+                (lookup(index.trigrams, gram) || (index.trigrams[gram] = [])).push(token);
+            }
+        }
+        ids.push(bookmark.id);
+    }
+}
+
+/**
+ * Removes a bookmark from the index.
+ * @param {object} index The index to update in place.
+ * @param {object} bookmark The bookmark as it was when it was added.
+ */
+export function removeFromSearchIndex(index, bookmark) {
+    for (const token of bookmarkTokens(bookmark)) {
+        if (removeFromList(index.tokens, token, bookmark.id)) {
+            for (const gram of trigramsOf(token)) {
+                removeFromList(index.trigrams, gram, token);
+            }
+        }
+    }
+}
+
+/**
+ * Returns the indexed words that contain the given word.
+ */
+function findTokensContaining(index, word) {
+    if (word.length < 3) {
+        return Object.keys(index.tokens).filter(token => token.includes(word));
+    }
+
+    // Every word containing `word` also contains its rarest trigram.
+    let rarest = null;
+    for (const gram of trigramsOf(word)) {
+        const tokens = lookup(index.trigrams, gram) || [];
+        if (!rarest || tokens.length < rarest.length) rarest = tokens;
+    }
+    return rarest.filter(token => token.includes(word));
+}
+
+/**
+ * Finds the bookmarks whose title, URL or path could contain a search word as a substring.
+ * The result is a superset of the true matches: every part of the word made of letters
+ * and digits has to appear inside a single indexed word of the bookmark.
+ * @param {object} index The search index.
+ * @param {string} word A lower-case search word.
+ * @returns {Set<string>|null} The candidate bookmark IDs, or null if the index can't
+ *     narrow the search down (the word has no letters or digits).
+ */
+export function findCandidateIds(index, word) {
+    const parts = tokenize(word);
+    if (parts.length === 0) return null;
+
+    let candidates = null;
+    for (const part of parts) {
+        const ids = new Set();
+        for (const token of findTokensContaining(index, part)) {
+            for (const id of index.tokens[token]) {
+                if (!candidates || candidates.has(id)) ids.add(id);
+            }
+        }
+        candidates = ids;
+    }
+    return candidates;
+}
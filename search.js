@@ -1,156 +1,490 @@
+import { SEARCH_INDEX_VERSION, findCandidateIds } from './search-index.js';
+import { parseQuery } from './query-parser.js';
+import { mergeTags } from './tags.js';
+import { foldText } from './text-utils.js';
+import { getLearnedBoosts } from './learning.js';
+import { createFuzzyMatcher, loadFuzzyStrictness } from './fuzzy.js';
+
 /**
- * Calculates the Levenshtein distance between two strings.
- */
-function levenshteinDistance(s1, s2) {
-    s1 = s1.toLowerCase();
-    s2 = s2.toLowerCase();
-    const costs = [];
-    for (let i = 0; i <= s1.length; i++) {
-        let lastValue = i;
-        for (let j = 0; j <= s2.length; j++) {
-            if (i === 0) {
-                costs[j] = j;
-            } else {
-                if (j > 0) {
-                    let newValue = costs[j - 1];
-                    if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
-                        newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-                    }
-                    costs[j - 1] = lastValue;
-                    lastValue = newValue;
-                }
-            }
+ * Returns true if a tag satisfies a `#` filter, allowing for typos in the filter as far
+ * as the fuzzy matcher does. Tags are hierarchical: `#work` also matches `work/infra`,
+ * even when misspelt as `#wrk`.
+ * @param {string} tag The tag.
+ * @param {string} filterTag The filter's tag, folded with foldText.
+ * @param {object|null} fuzzyMatcher The filter tag's matcher from createFuzzyMatcher.
+ */
+function tagMatchesFilter(tag, filterTag, fuzzyMatcher) {
+    const foldedTag = foldText(tag);
+    if (foldedTag.includes(filterTag)) return true;
+    if (!fuzzyMatcher) return false;
+    const segments = foldedTag.split('/');
+    for (let depth = segments.length; depth > 0; depth--) {
+        if (fuzzyMatcher.rateToken(segments.slice(0, depth).join('/')) > 0) return true;
+    }
+    return false;
+}
+
+/**
+ * Returns true if a URL's hostname is the given site or one of its subdomains.
+ */
+function siteMatches(url, site) {
+    try {
+        const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        return hostname === site || hostname.endsWith('.' + site);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Returns true if a bookmark path ("Work / Infra / K8s") contains the folders of an
+ * in: value ("work/infra") as consecutive segments.
+ */
+function folderMatches(path, folder) {
+    const pathSegments = (path || '').toLowerCase().split(' / ');
+    const folderSegments = folder.split('/').map(segment => segment.trim()).filter(Boolean);
+    for (let start = 0; start + folderSegments.length <= pathSegments.length; start++) {
+        if (folderSegments.every((segment, i) => pathSegments[start + i] === segment)) return true;
+    }
+    return false;
+}
+
+/**
+ * Builds the function that checks an item against the filters of a parsed query
+ * (tag, site and folder clauses, quoted phrases and exclusions).
+ * @param {object} parsedQuery The result of parseQuery.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @param {string} fuzzyStrictness How forgiving tag filters are of typos; see fuzzy.js.
+ * @returns {function(object, Array<string>, Array<string>, string=): boolean|null} A predicate
+ *     taking the item, its tags, its folder paths and its note, or null if the query has no filters.
+ */
+function createFilter(parsedQuery, bookmarkTags, fuzzyStrictness) {
+    const filterClauses = parsedQuery.clauses.filter(clause =>
+        clause.kind !== 'text' || clause.alternatives.some(alternative => alternative.isPhrase)
+    );
+    if (filterClauses.length === 0 && parsedQuery.excluded.length === 0) return null;
+
+    // Match each tag filter against the tag vocabulary once rather than against every item's tags.
+    const tagVocabulary = new Set(Object.values(bookmarkTags).flat());
+    const acceptedTagSets = new Map();
+    function acceptedTagsFor(filterTag) {
+        if (!acceptedTagSets.has(filterTag)) {
+            const foldedFilterTag = foldText(filterTag);
+            const fuzzyMatcher = createFuzzyMatcher(foldedFilterTag, fuzzyStrictness);
+            acceptedTagSets.set(filterTag, new Set([...tagVocabulary].filter(tag => tagMatchesFilter(tag, foldedFilterTag, fuzzyMatcher))));
         }
-        if (i > 0) {
-            costs[s2.length] = lastValue;
+        return acceptedTagSets.get(filterTag);
+    }
+
+    function matchesTerm(item, tags, paths, note, kind, value) {
+        switch (kind) {
+            case 'tag':
+                return tags.some(tag => acceptedTagsFor(value).has(tag));
+            case 'site':
+                return siteMatches(item.url, value);
+            case 'folder':
+                return paths.some(path => folderMatches(path, value));
+            default: {
+                const foldedValue = foldText(value);
+                return foldText(item.title).includes(foldedValue) ||
+                    foldText(item.url).includes(foldedValue) ||
+                    paths.some(path => foldText(path).includes(foldedValue)) ||
+                    tags.some(tag => foldText(tag).includes(foldedValue)) ||
+                    foldText(note).includes(foldedValue);
+            }
         }
     }
-    return costs[s2.length];
+
+    return (item, tags, paths, note = '') =>
+        filterClauses.every(clause =>
+            clause.alternatives.some(alternative => matchesTerm(item, tags, paths, note, clause.kind, alternative.value))
+        ) &&
+        !parsedQuery.excluded.some(term => matchesTerm(item, tags, paths, note, term.kind, term.value));
+}
+
+/**
+ * Gives history items the tags of the bookmarks for the same URL.
+ * @param {Array} allBookmarks The cached bookmarks.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @returns {Map<string, Array<string>>} Tag arrays by URL, for tagged URLs only.
+ */
+function getTagsByUrl(allBookmarks, bookmarkTags) {
+    const tagsByUrl = new Map();
+    for (const bookmark of allBookmarks) {
+        if (!Object.hasOwn(bookmarkTags, bookmark.id)) continue;
+        tagsByUrl.set(bookmark.url, mergeTags(tagsByUrl.get(bookmark.url) || [], bookmarkTags[bookmark.id]));
+    }
+    return tagsByUrl;
+}
+
+/**
+ * Gives history items and tabs the folder paths of the bookmarks for the same URL.
+ * @param {Array} allBookmarks The cached bookmarks.
+ * @returns {Map<string, Array<string>>} Path arrays by URL, for bookmarked URLs only.
+ */
+function getPathsByUrl(allBookmarks) {
+    const pathsByUrl = new Map();
+    for (const bookmark of allBookmarks) {
+        if (!pathsByUrl.has(bookmark.url)) pathsByUrl.set(bookmark.url, []);
+        pathsByUrl.get(bookmark.url).push(bookmark.path || '');
+    }
+    return pathsByUrl;
 }
 
 /**
  * Searches the user's browser history using the efficient chrome.history API.
+ * Query operators are applied to the items chrome.history returns; tag and folder
+ * filters match history items whose URL is bookmarked with that tag or in that folder.
+ * @param {string} query The raw search query.
+ * @param {object} [context] Bookmark data used by tag and folder filters.
+ * @param {Array} [context.allBookmarks] The cached bookmarks.
+ * @param {object} [context.bookmarkTags] Tag arrays by bookmark ID.
  */
-export async function searchHistory(query) {
-    return new Promise(resolve => {
+export async function searchHistory(query, context = {}) {
+    const { allBookmarks = [], bookmarkTags = {} } = context;
+    const parsedQuery = parseQuery(query);
+    const matchesFilters = createFilter(parsedQuery, bookmarkTags, await loadFuzzyStrictness());
+
+    // chrome.history.search matches every word of its text, so OR groups get one search per alternative.
+    const textClauses = parsedQuery.clauses.filter(clause => clause.kind === 'text');
+    const requiredWords = textClauses.filter(clause => clause.alternatives.length === 1).map(clause => clause.alternatives[0].value);
+    const orClause = textClauses.find(clause => clause.alternatives.length > 1);
+    const siteClause = parsedQuery.clauses.find(clause => clause.kind === 'site');
+    let searchTexts = orClause
+        ? orClause.alternatives.map(alternative => [...requiredWords, alternative.value].join(' '))
+        : [requiredWords.join(' ')];
+    if (!orClause && requiredWords.length === 0 && siteClause) {
+        searchTexts = siteClause.alternatives.map(alternative => alternative.value);
+    }
+
+    const batches = await Promise.all(searchTexts.map(text => new Promise(resolve => {
         chrome.history.search({
-            text: query,
-            maxResults: 50,
+            text,
+            maxResults: matchesFilters || orClause ? 500 : 50,
             startTime: 0
-        }, (historyItems) => {
-            const formattedResults = historyItems.map(historyItem => ({
-                item: {
-                    title: historyItem.title || historyItem.url,
-                    url: historyItem.url,
-                    lastVisitTime: historyItem.lastVisitTime
-                }
-            }));
-            resolve(formattedResults);
-        });
-    });
+        }, resolve);
+    })));
+
+    const pathsByUrl = getPathsByUrl(allBookmarks);
+    const tagsByUrl = getTagsByUrl(allBookmarks, bookmarkTags);
+
+    const seenUrls = new Set();
+    const formattedResults = [];
+    for (const historyItem of batches.flat()) {
+        if (seenUrls.has(historyItem.url)) continue;
+        seenUrls.add(historyItem.url);
+
+        const item = {
+            title: historyItem.title || historyItem.url,
+            url: historyItem.url,
+            visitCount: historyItem.visitCount,
+            lastVisitTime: historyItem.lastVisitTime
+        };
+        const isMatch = textClauses.every(clause =>
+            clause.alternatives.length === 1 ||
+            clause.alternatives.some(alternative =>
+                foldText(item.title).includes(foldText(alternative.value)) || foldText(item.url).includes(foldText(alternative.value))
+            )
+        );
+        if (!isMatch) continue;
+        if (matchesFilters && !matchesFilters(item, tagsByUrl.get(item.url) || [], pathsByUrl.get(item.url) || [])) continue;
+
+        formattedResults.push({ item });
+    }
+    if (orClause) {
+        formattedResults.sort((a, b) => b.item.lastVisitTime - a.item.lastVisitTime);
+    }
+    return formattedResults.slice(0, 50);
 }
 
 /**
- * Performs a fast search on pre-processed bookmarks and returns a unique, sorted list.
+ * Narrows the bookmarks worth scoring down to those matching at least one query word,
+ * using the search index the background worker keeps for titles, URLs and paths.
+ * Tags and notes aren't indexed, so tagged bookmarks and bookmarks with notes are checked directly.
+ * Fuzzy matches are found by rating the index's vocabulary rather than every bookmark.
+ * @param {object} searchIndex The search index.
+ * @param {Array<string>} queryWords The query's words, folded with foldText.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @param {object} bookmarkNotes Notes by bookmark ID.
+ * @param {Map<string, object>} fuzzyMatchers Matchers by query word, for words matched fuzzily.
+ * @returns {function(object): boolean|null} A predicate for the bookmarks to score,
+ *     or null if every bookmark has to be scored.
  */
-export async function customSearch(query, allBookmarks, domainScores, bookmarkTags) {
-    const { weights } = await chrome.storage.sync.get({
-        weights: {
-            titleMatch: 10, startsWithBonus: 15, tagMatch: 20, urlMatch: 3, pathMatch: 5,
-            allWordsBonus: 1.5, visitCount: 5, recency: 10
+function createCandidateFilter(searchIndex, queryWords, bookmarkTags, bookmarkNotes, fuzzyMatchers) {
+    const candidateIds = new Set();
+
+    for (const word of queryWords) {
+        const fuzzyMatcher = fuzzyMatchers.get(word);
+        if (fuzzyMatcher && fuzzyMatcher.canMatchAcronyms) return null;
+        const wordIds = findCandidateIds(searchIndex, word);
+        if (!wordIds) return null;
+        wordIds.forEach(id => candidateIds.add(id));
+
+        if (fuzzyMatcher) {
+            for (const [token, ids] of Object.entries(searchIndex.tokens)) {
+                if (fuzzyMatcher.rateToken(token) > 0) ids.forEach(id => candidateIds.add(id));
+            }
+        }
+        for (const [id, tags] of Object.entries(bookmarkTags)) {
+            if (tags.some(tag => foldText(tag).includes(word) || (fuzzyMatcher && fuzzyMatcher.rateText(tag) > 0))) {
+                candidateIds.add(id);
+            }
+        }
+        for (const [id, note] of Object.entries(bookmarkNotes)) {
+            if (foldText(note).includes(word)) candidateIds.add(id);
         }
-    });
+    }
+    return bookmark => candidateIds.has(bookmark.id);
+}
 
-    const lowerCaseQuery = query.toLowerCase();
-    const allQueryWords = lowerCaseQuery.split(' ').filter(w => w);
-    const tagFilters = allQueryWords.filter(w => w.startsWith('#')).map(t => t.substring(1));
-    const queryWords = allQueryWords.filter(w => !w.startsWith('#'));
+/**
+ * Builds a fuzzy matcher for each word of the query's text clauses.
+ * @returns {Map<string, object>} Matchers by folded word; words too short for fuzzy
+ *     matching, or all of them when it's off, have none.
+ */
+function createFuzzyMatchers(textClauses, fuzzyStrictness) {
+    const fuzzyMatchers = new Map();
+    for (const clause of textClauses) {
+        for (const alternative of clause.alternatives) {
+            const word = foldText(alternative.value);
+            const fuzzyMatcher = !alternative.isPhrase && createFuzzyMatcher(word, fuzzyStrictness);
+            if (fuzzyMatcher) fuzzyMatchers.set(word, fuzzyMatcher);
+        }
+    }
+    return fuzzyMatchers;
+}
 
-    let workingBookmarks = allBookmarks;
-    if (tagFilters.length > 0) {
-        workingBookmarks = allBookmarks.filter(bookmark => {
-            const tags = bookmarkTags[bookmark.url] || [];
-            if (tags.length === 0) return false;
-            return tagFilters.every(filterTag =>
-                tags.some(tag => {
-                    if (tag.includes(filterTag)) return true;
-                    const distance = levenshteinDistance(tag, filterTag);
-                    const threshold = tag.length > 5 ? 2 : 1;
-                    return distance <= threshold;
-                })
-            );
-        });
+/**
+ * Scores a single search word against a bookmark.
+ * @returns {object|null} The score of each matching field, by SCORE_PARTS key, or null
+ *     if the word doesn't match.
+ */
+function scoreWord(word, weights, lowerCaseTitle, bookmarkUrl, lowerCasePath, tags, lowerCaseNote) {
+    const parts = {};
+    if (tags.some(tag => tag.includes(word))) {
+        parts.tag = weights.tagMatch;
+    }
+    if (lowerCaseNote.includes(word)) {
+        parts.note = weights.noteMatch;
+    }
+    if (lowerCaseTitle.includes(word)) {
+        parts.title = weights.titleMatch;
+        if (lowerCaseTitle.split(' ').some(titleWord => titleWord.startsWith(word))) {
+            parts.title += weights.startsWithBonus;
+        }
     }
+    else if (bookmarkUrl.includes(word)) {
+        parts.url = weights.urlMatch;
+    }
+    else if (lowerCasePath.includes(word)) {
+        parts.path = weights.pathMatch;
+    }
+    return Object.keys(parts).length > 0 ? parts : null;
+}
 
-    const results = [];
-    const isTagOnlySearch = queryWords.length === 0 && tagFilters.length > 0;
+/**
+ * Scores a search word that isn't in the bookmark as such, by its closest fuzzy match in
+ * the title, URL, path or tags. Fuzzy matches are anchored at the start of a word, so
+ * title matches get the "starts with" bonus, scaled by how close the match is.
+ * @returns {object|null} The `fuzzy` score part, or null if nothing matches closely enough.
+ */
+function scoreFuzzyWord(fuzzyMatcher, weights, item, tags) {
+    const score = Math.max(
+        fuzzyMatcher.rateText(item.title) * (weights.titleMatch + weights.startsWithBonus),
+        fuzzyMatcher.rateText(item.url) * weights.urlMatch,
+        fuzzyMatcher.rateText(item.path) * weights.pathMatch,
+        ...tags.map(tag => fuzzyMatcher.rateText(tag) * weights.tagMatch)
+    );
+    return score > 0 ? { fuzzy: score } : null;
+}
 
-    for (const bookmark of workingBookmarks) {
-        const lowerCaseTitle = bookmark.title.toLowerCase();
-        const bookmarkUrl = bookmark.url.toLowerCase();
-        const lowerCasePath = (bookmark.path || '').toLowerCase();
-        const tags = bookmarkTags[bookmark.url] || [];
+function sumParts(parts) {
+    return Object.values(parts).reduce((sum, value) => sum + value, 0);
+}
+
+export const DEFAULT_WEIGHTS = {
+    titleMatch: 10, startsWithBonus: 15, tagMatch: 20, noteMatch: 8, urlMatch: 3, pathMatch: 5,
+    allWordsBonus: 1.5, visitCount: 5, recency: 10, learnedSelection: 50
+};
+
+// Named starting points for tuning the weights. Each preset is a complete set of weights.
+export const WEIGHT_PRESETS = {
+    default: { label: 'Default', weights: DEFAULT_WEIGHTS },
+    recencyHeavy: {
+        label: 'Recency-heavy',
+        weights: { ...DEFAULT_WEIGHTS, visitCount: 10, recency: 40 }
+    },
+    tagFirst: {
+        label: 'Tag-first',
+        weights: { ...DEFAULT_WEIGHTS, tagMatch: 50, noteMatch: 12, titleMatch: 8, startsWithBonus: 10 }
+    },
+    titleFirst: {
+        label: 'Title-first',
+        weights: { ...DEFAULT_WEIGHTS, titleMatch: 20, startsWithBonus: 25, urlMatch: 1, pathMatch: 2, visitCount: 2, recency: 5 }
+    }
+};
+
+// What a result's score is made of, as listed when explaining it. Scorers fill in a
+// breakdown object with these keys; the values add up to the score.
+export const SCORE_PARTS = {
+    filter: 'Matches the filters',
+    title: 'Title',
+    tag: 'Tags',
+    note: 'Note',
+    url: 'URL',
+    path: 'Folder path',
+    fuzzy: 'Close match (typo, abbreviation or acronym)',
+    allWords: 'All words matched',
+    domain: 'Often chosen site',
+    visits: 'Visits',
+    recency: 'Recently visited',
+    learned: 'Usually picked for this search'
+};
+
+/**
+ * Loads the scoring weights saved on the options page.
+ * @returns {Promise<object>} The weights, with defaults for any that were never saved.
+ */
+export async function loadWeights() {
+    const { weights } = await chrome.storage.sync.get({ weights: DEFAULT_WEIGHTS });
+    return { ...DEFAULT_WEIGHTS, ...weights };
+}
+
+/**
+ * Builds the scoring function for a parsed query. Bookmarks and history items share it,
+ * so results from both sources can be ranked against each other.
+ * @param {object} parsedQuery The result of parseQuery.
+ * @param {object} weights The scoring weights.
+ * @param {object} domainScores Selection counts by hostname.
+ * @param {Map<string, object>} fuzzyMatchers Matchers by query word, from createFuzzyMatchers.
+ *     Words without one only match exactly.
+ * @returns {function(object, Array<string>, string=, object=): number} Scores an item
+ *     ({title, url, path?, visitCount?, lastVisitTime?}) given its tags and note; 0 means
+ *     no match. If a breakdown object is passed, it's filled with the score's parts.
+ */
+function createScorer(parsedQuery, weights, domainScores, fuzzyMatchers) {
+    const textClauses = parsedQuery.clauses.filter(clause => clause.kind === 'text');
+    const clauseWords = textClauses.map(clause => clause.alternatives.map(alternative => foldText(alternative.value)));
+    const isFilterOnlySearch = textClauses.length === 0 && parsedQuery.clauses.length > 0;
+    const filterOnlyScore = parsedQuery.clauses.some(clause => clause.kind === 'tag') ? weights.tagMatch : 1;
+
+    return (item, tags, note = '', breakdown = {}) => {
+        const foldedTitle = foldText(item.title);
+        const foldedUrl = foldText(item.url);
+        const foldedPath = foldText(item.path);
+        const foldedTags = tags.map(foldText);
+        const foldedNote = foldText(note);
         let score = 0;
-        const matchedWords = new Set();
+        const matchedClauses = new Set();
 
-        if (isTagOnlySearch) {
-            score = weights.tagMatch;
+        function addPart(part, value) {
+            if (value === 0) return;
+            breakdown[part] = (breakdown[part] || 0) + value;
+            score += value;
+        }
+
+        if (isFilterOnlySearch) {
+            addPart('filter', filterOnlyScore);
         } else {
-            for (const word of queryWords) {
-                let wordMatched = false;
-                if (tags.some(tag => tag.includes(word))) {
-                    score += weights.tagMatch;
-                    wordMatched = true;
-                }
-                if (lowerCaseTitle.includes(word)) {
-                    score += weights.titleMatch;
-                    if (lowerCaseTitle.split(' ').some(titleWord => titleWord.startsWith(word))) {
-                        score += weights.startsWithBonus;
+            clauseWords.forEach((words, clauseIndex) => {
+                // An OR group scores as its best-matching alternative.
+                let bestParts = null;
+                for (const word of words) {
+                    let wordParts = scoreWord(word, weights, foldedTitle, foldedUrl, foldedPath, foldedTags, foldedNote);
+                    if (!wordParts && fuzzyMatchers.has(word)) {
+                        wordParts = scoreFuzzyWord(fuzzyMatchers.get(word), weights, item, tags);
+                    }
+                    if (wordParts && (!bestParts || sumParts(wordParts) > sumParts(bestParts))) {
+                        bestParts = wordParts;
                     }
-                    wordMatched = true;
-                }
-                else if (bookmarkUrl.includes(word)) {
-                    score += weights.urlMatch;
-                    wordMatched = true;
-                }
-                else if (lowerCasePath.includes(word)) {
-                    score += weights.pathMatch;
-                    wordMatched = true;
                 }
-                if (wordMatched) {
-                    matchedWords.add(word);
+                if (bestParts) {
+                    Object.entries(bestParts).forEach(([part, value]) => addPart(part, value));
+                    matchedClauses.add(clauseIndex);
                 }
-            }
+            });
         }
-        
-        if (score > 0) {
-            if (queryWords.length > 0 && matchedWords.size < queryWords.length) {
-                const distance = levenshteinDistance(queryWords.join(' '), lowerCaseTitle.substring(0, queryWords.join(' ').length));
-                if (distance <= Math.floor(queryWords.join(' ').length / 4)) {
-                    score += 20 - distance * 5;
-                }
-            }
 
-            if (matchedWords.size === queryWords.length && queryWords.length > 1) {
-                score *= weights.allWordsBonus;
-            }
+        if (score <= 0) return 0;
 
-            try {
-                const domain = new URL(bookmark.url).hostname;
-                if (domainScores[domain]) {
-                    score *= (1 + Math.log1p(domainScores[domain]) * 0.1);
-                }
-            } catch (e) { /* Invalid URL */ }
-            
-            if (bookmark.visitCount > 0) {
-                score += Math.log(bookmark.visitCount + 1) * weights.visitCount;
-            }
-            if (bookmark.lastVisitTime > 0) {
-                const daysAgo = (Date.now() - bookmark.lastVisitTime) / (1000 * 60 * 60 * 24);
-                score += Math.max(0, weights.recency - daysAgo);
+        // Multipliers are recorded as what they add to the score so far.
+        if (matchedClauses.size === clauseWords.length && clauseWords.length > 1) {
+            addPart('allWords', score * (weights.allWordsBonus - 1));
+        }
+
+        try {
+            const domain = new URL(item.url).hostname;
+            if (domainScores[domain]) {
+                addPart('domain', score * Math.log1p(domainScores[domain]) * 0.1);
             }
+        } catch (e) { /* Invalid URL */ }
+
+        if (item.visitCount > 0) {
+            addPart('visits', Math.log(item.visitCount + 1) * weights.visitCount);
+        }
+        if (item.lastVisitTime > 0) {
+            const daysAgo = (Date.now() - item.lastVisitTime) / (1000 * 60 * 60 * 24);
+            addPart('recency', Math.max(0, weights.recency - daysAgo));
+        }
+        return score;
+    };
+}
+
+/**
+ * Performs a fast search on pre-processed bookmarks and returns a unique, sorted list.
+ * See query-parser.js for the supported operators.
+ * @param {string} query The raw search query.
+ * @param {Array} allBookmarks The cached bookmarks.
+ * @param {object} domainScores Selection counts by hostname.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @param {object} [options] Optional search inputs.
+ * @param {object} [options.searchIndex] The background worker's search index. Without it,
+ *     every bookmark is scored; the ranking is the same either way.
+ * @param {object} [options.bookmarkNotes] Notes by bookmark ID, searched like tags.
+ * @param {object} [options.weights] Weights to rank by instead of the saved ones.
+ * @param {string} [options.fuzzyStrictness] Fuzzy matching strictness to use instead of the
+ *     saved one; see fuzzy.js.
+ * @param {object} [options.learnedSelections] Past picks for queries (see learning.js). The
+ *     bookmarks usually picked for the query are boosted, and found even if they don't
+ *     contain the words typed.
+ * @returns {Promise<Array>} Results ({item, score, breakdown}), best first; the breakdown
+ *     splits the score into SCORE_PARTS.
+ */
+export async function customSearch(query, allBookmarks, domainScores, bookmarkTags, options = {}) {
+    const weights = options.weights || await loadWeights();
+    const fuzzyStrictness = options.fuzzyStrictness || await loadFuzzyStrictness();
+    const parsedQuery = parseQuery(query);
+    const textClauses = parsedQuery.clauses.filter(clause => clause.kind === 'text');
+    const fuzzyMatchers = createFuzzyMatchers(textClauses, fuzzyStrictness);
+    const scoreItem = createScorer(parsedQuery, weights, domainScores, fuzzyMatchers);
+
+    const { searchIndex, bookmarkNotes = {}, learnedSelections } = options;
+    const learnedBoosts = getLearnedBoosts(learnedSelections, query);
+    let workingBookmarks = allBookmarks;
+    const matchesFilters = createFilter(parsedQuery, bookmarkTags, fuzzyStrictness);
+    if (matchesFilters) {
+        workingBookmarks = allBookmarks.filter(bookmark =>
+            matchesFilters(bookmark, bookmarkTags[bookmark.id] || [], [bookmark.path || ''], bookmarkNotes[bookmark.id])
+        );
+    }
+
+    const results = [];
+    const isCandidate = textClauses.length > 0 && searchIndex && searchIndex.version === SEARCH_INDEX_VERSION
+        ? createCandidateFilter(searchIndex, textClauses.flatMap(clause => clause.alternatives.map(a => foldText(a.value))), bookmarkTags, bookmarkNotes, fuzzyMatchers)
+        : null;
+
+    for (const bookmark of workingBookmarks) {
+        const learnedBoost = learnedBoosts.get(bookmark.url) || 0;
+        if (isCandidate && !isCandidate(bookmark) && learnedBoost === 0) continue;
 
-            results.push({ item: bookmark, score });
+        const breakdown = {};
+        let score = scoreItem(bookmark, bookmarkTags[bookmark.id] || [], bookmarkNotes[bookmark.id], breakdown);
+        if (learnedBoost > 0 && weights.learnedSelection > 0) {
+            breakdown.learned = learnedBoost * weights.learnedSelection;
+            score += breakdown.learned;
+        }
+        if (score > 0) {
+            results.push({ item: bookmark, score, breakdown });
         }
     }
     
@@ -170,4 +504,104 @@ export async function customSearch(query, allBookmarks, domainScores, bookmarkTa
     const deduplicatedResults = Array.from(uniqueResults.values());
     
     return deduplicatedResults.slice(0, 50);
-}
\ No newline at end of file
+}
+
+/**
+ * Searches the open tabs of every window, scored with the same weights as bookmarks.
+ * An empty query lists all tabs, most recently used first. The popup's own pages are skipped.
+ * @param {string} query The raw search query.
+ * @param {object} [context] Bookmark data used by tag and folder filters and for ranking.
+ * @param {Array} [context.allBookmarks] The cached bookmarks.
+ * @param {object} [context.bookmarkTags] Tag arrays by bookmark ID.
+ * @param {object} [context.domainScores] Selection counts by hostname.
+ * @returns {Promise<Array>} Results with a `source` of 'tab' and the tab in `openTab`.
+ */
+export async function searchTabs(query, context = {}) {
+    const { allBookmarks = [], bookmarkTags = {}, domainScores = {} } = context;
+    const parsedQuery = parseQuery(query);
+    const [tabs, weights, fuzzyStrictness] = await Promise.all([chrome.tabs.query({}), loadWeights(), loadFuzzyStrictness()]);
+    const matchesFilters = createFilter(parsedQuery, bookmarkTags, fuzzyStrictness);
+    const textClauses = parsedQuery.clauses.filter(clause => clause.kind === 'text');
+    const scoreItem = createScorer(parsedQuery, weights, domainScores, createFuzzyMatchers(textClauses, fuzzyStrictness));
+    const isEmptyQuery = parsedQuery.clauses.length === 0 && parsedQuery.excluded.length === 0;
+    const pathsByUrl = getPathsByUrl(allBookmarks);
+    const tagsByUrl = getTagsByUrl(allBookmarks, bookmarkTags);
+    const extensionUrl = chrome.runtime.getURL('');
+
+    const results = [];
+    for (const tab of tabs) {
+        if (!tab.url || tab.url.startsWith(extensionUrl)) continue;
+
+        const item = { title: tab.title || tab.url, url: tab.url, lastVisitTime: tab.lastAccessed };
+        const tags = tagsByUrl.get(item.url) || [];
+        if (matchesFilters && !matchesFilters(item, tags, pathsByUrl.get(item.url) || [])) continue;
+
+        const breakdown = {};
+        const score = isEmptyQuery ? 1 : scoreItem(item, tags, '', breakdown);
+        if (score > 0) {
+            results.push({ item, score, breakdown, source: 'tab', openTab: { tabId: tab.id, windowId: tab.windowId } });
+        }
+    }
+
+    results.sort((a, b) => b.score - a.score || (b.item.lastVisitTime || 0) - (a.item.lastVisitTime || 0));
+    const uniqueResults = new Map();
+    for (const result of results) {
+        if (!uniqueResults.has(result.item.url)) uniqueResults.set(result.item.url, result);
+    }
+    return Array.from(uniqueResults.values()).slice(0, 50);
+}
+
+/**
+ * Searches bookmarks, history and open tabs together and returns one ranked list,
+ * unique by URL. History items and tabs are scored with the same weights as bookmarks.
+ * A page that is both bookmarked and in the history is listed once, as the bookmark;
+ * if it's also open, the result carries the tab in `openTab` so it can be switched to.
+ * @param {string} query The raw search query.
+ * @param {Array} allBookmarks The cached bookmarks.
+ * @param {object} domainScores Selection counts by hostname.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @param {object} [options] Passed on to customSearch.
+ * @returns {Promise<Array>} Results with a `source` of 'bookmark', 'history' or 'tab'.
+ */
+export async function searchAll(query, allBookmarks, domainScores, bookmarkTags, options = {}) {
+    const [bookmarkResults, historyResults, tabResults, weights, fuzzyStrictness] = await Promise.all([
+        customSearch(query, allBookmarks, domainScores, bookmarkTags, options),
+        searchHistory(query, { allBookmarks, bookmarkTags }),
+        searchTabs(query, { allBookmarks, bookmarkTags, domainScores }),
+        loadWeights(),
+        loadFuzzyStrictness()
+    ]);
+    const parsedQuery = parseQuery(query);
+    const textClauses = parsedQuery.clauses.filter(clause => clause.kind === 'text');
+    const scoreItem = createScorer(parsedQuery, weights, domainScores, createFuzzyMatchers(textClauses, fuzzyStrictness));
+    const tagsByUrl = getTagsByUrl(allBookmarks, bookmarkTags);
+
+    const mergedResults = new Map();
+    for (const result of bookmarkResults) {
+        mergedResults.set(result.item.url, { ...result, source: 'bookmark' });
+    }
+    for (const { item } of historyResults) {
+        if (mergedResults.has(item.url)) continue;
+        const breakdown = {};
+        const score = scoreItem(item, tagsByUrl.get(item.url) || [], '', breakdown);
+        if (score > 0) {
+            mergedResults.set(item.url, { item, score, breakdown, source: 'history' });
+        }
+    }
+    for (const tabResult of tabResults) {
+        const existing = mergedResults.get(tabResult.item.url);
+        if (existing) {
+            existing.openTab = tabResult.openTab;
+            if (tabResult.score > existing.score) {
+                existing.score = tabResult.score;
+                existing.breakdown = tabResult.breakdown;
+            }
+        } else {
+            mergedResults.set(tabResult.item.url, tabResult);
+        }
+    }
+
+    return Array.from(mergedResults.values())
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 50);
+}
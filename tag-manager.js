@@ -0,0 +1,221 @@
+import { collectTagCounts, validateTagName } from './tags.js';
+
+let tagCounts = [];
+const selectedTags = new Set();
+
+/**
+ * Displays a status message to the user for a short duration.
+ * @param {string} message The message to display.
+ * @param {boolean} isError If true, the message will be styled as an error.
+ */
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.style.color = isError ? '#ff6b6b' : 'var(--primary-accent)';
+    status.classList.add('visible');
+    setTimeout(() => {
+        status.classList.remove('visible');
+    }, 3000);
+}
+
+/**
+ * Has the background worker apply a tag operation, so it goes through the same queue as
+ * the worker's own tag updates, then reloads the list.
+ * @param {object} message A renameTags or deleteTags message.
+ * @returns {Promise<number>} The number of bookmarks that changed.
+ */
+async function applyTagOperation(message) {
+    const { changedCount } = await chrome.runtime.sendMessage(message);
+    await loadTags();
+    return changedCount;
+}
+
+/**
+ * Renames tags to a new name, asking first if that merges them into an existing tag.
+ * @param {Array<string>} fromTags The tags to rename.
+ * @param {string} rawName The new name as typed.
+ * @returns {Promise<boolean>} True if the tags were renamed.
+ */
+async function renameTagsTo(fromTags, rawName) {
+    const toTag = rawName.trim();
+    const error = validateTagName(toTag);
+    if (error) {
+        showStatus(error, true);
+        return false;
+    }
+    if (fromTags.length === 1 && fromTags[0] === toTag) return true;
+
+    const existing = tagCounts.find(({ tag }) => tag === toTag && !fromTags.includes(tag));
+    if (existing) {
+        const names = fromTags.map(tag => `"${tag}"`).join(', ');
+        if (!confirm(`"${toTag}" is already used on ${existing.count} bookmark(s). Merge ${names} into it?`)) return false;
+    }
+
+    fromTags.forEach(tag => selectedTags.delete(tag));
+    const changedCount = await applyTagOperation({ type: 'renameTags', fromTags, toTag });
+    showStatus(`Renamed on ${changedCount} bookmark(s).`);
+    return true;
+}
+
+/**
+ * Removes tags from every bookmark after asking for confirmation.
+ * @param {Array<string>} tags The tags to delete.
+ */
+async function deleteTagsEverywhere(tags) {
+    const bookmarkCount = tagCounts
+        .filter(({ tag }) => tags.includes(tag))
+        .reduce((sum, { count }) => sum + count, 0);
+    const names = tags.map(tag => `"${tag}"`).join(', ');
+    if (!confirm(`Remove ${names} from ${bookmarkCount} bookmark tag list(s)? This can't be undone.`)) return;
+
+    tags.forEach(tag => selectedTags.delete(tag));
+    const changedCount = await applyTagOperation({ type: 'deleteTags', tags });
+    showStatus(`Removed from ${changedCount} bookmark(s).`);
+}
+
+/**
+ * Replaces a row's tag name with an input for renaming it.
+ * @param {HTMLElement} nameCell The cell showing the tag name.
+ * @param {string} tag The tag to rename.
+ */
+function startRename(nameCell, tag) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = tag;
+    nameCell.innerHTML = '';
+    nameCell.appendChild(input);
+    input.focus();
+    input.select();
+
+    input.addEventListener('keydown', async (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            if (!await renameTagsTo([tag], input.value)) input.focus();
+        } else if (e.key === 'Escape') {
+            renderTagTable();
+        }
+    });
+    input.addEventListener('blur', () => {
+        // Give Enter's handler a chance to run before the row is redrawn.
+        setTimeout(() => {
+            if (document.activeElement !== input) renderTagTable();
+        }, 100);
+    });
+}
+
+/**
+ * Returns the tags matching the filter box.
+ */
+function getShownTags() {
+    const filter = document.getElementById('tagFilter').value.trim().toLowerCase();
+    return filter ? tagCounts.filter(({ tag }) => tag.toLowerCase().includes(filter)) : tagCounts;
+}
+
+/**
+ * Enables the bulk buttons only when they have something to work on.
+ */
+function updateBulkActions() {
+    document.getElementById('mergeSelected').disabled = selectedTags.size === 0;
+    document.getElementById('deleteSelected').disabled = selectedTags.size === 0;
+
+    const shownTags = getShownTags();
+    const selectAll = document.getElementById('selectAll');
+    selectAll.checked = shownTags.length > 0 && shownTags.every(({ tag }) => selectedTags.has(tag));
+}
+
+/**
+ * Renders the tag list, filtered by the filter box.
+ */
+function renderTagTable() {
+    const table = document.getElementById('tagTable');
+    const shownTags = getShownTags();
+    table.innerHTML = '';
+
+    const bookmarkTotal = tagCounts.reduce((sum, { count }) => sum + count, 0);
+    document.getElementById('tagSummary').textContent =
+        `${tagCounts.length} tag(s), ${bookmarkTotal} use(s)`;
+
+    if (shownTags.length === 0) {
+        const row = table.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 4;
+        cell.className = 'empty-state';
+        cell.textContent = tagCounts.length === 0 ? 'No bookmarks are tagged yet.' : 'No tags match the filter.';
+    }
+
+    for (const { tag, count } of shownTags) {
+        const row = table.insertRow();
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selectedTags.has(tag);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selectedTags.add(tag);
+            else selectedTags.delete(tag);
+            updateBulkActions();
+        });
+        row.insertCell().appendChild(checkbox);
+
+        const nameCell = row.insertCell();
+        nameCell.className = 'tag-name';
+        const pill = document.createElement('span');
+        pill.className = 'tag-pill';
+        pill.textContent = tag;
+        nameCell.appendChild(pill);
+
+        const countCell = row.insertCell();
+        countCell.className = 'tag-count';
+        countCell.textContent = count;
+
+        const actionsCell = row.insertCell();
+        actionsCell.className = 'tag-actions';
+        const renameButton = document.createElement('button');
+        renameButton.className = 'secondary';
+        renameButton.textContent = 'Rename';
+        renameButton.addEventListener('click', () => startRename(nameCell, tag));
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'secondary';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteTagsEverywhere([tag]));
+        actionsCell.append(renameButton, deleteButton);
+    }
+    updateBulkActions();
+}
+
+/**
+ * Recounts the tags from storage and redraws the list.
+ */
+async function loadTags() {
+    const { bookmarkTags } = await chrome.storage.local.get({ bookmarkTags: {} });
+    tagCounts = collectTagCounts(bookmarkTags);
+    for (const tag of selectedTags) {
+        if (!tagCounts.some(entry => entry.tag === tag)) selectedTags.delete(tag);
+    }
+    renderTagTable();
+}
+
+// --- Event Listeners ---
+document.addEventListener('DOMContentLoaded', loadTags);
+document.getElementById('tagFilter').addEventListener('input', renderTagTable);
+document.getElementById('selectAll').addEventListener('change', (e) => {
+    for (const { tag } of getShownTags()) {
+        if (e.target.checked) selectedTags.add(tag);
+        else selectedTags.delete(tag);
+    }
+    renderTagTable();
+});
+document.getElementById('mergeSelected').addEventListener('click', async () => {
+    const mergeTarget = document.getElementById('mergeTarget');
+    if (await renameTagsTo([...selectedTags], mergeTarget.value)) {
+        mergeTarget.value = '';
+    }
+});
+document.getElementById('deleteSelected').addEventListener('click', () => deleteTagsEverywhere([...selectedTags]));
+
+// Tags edited in the popup, or in another tag manager tab, show up here too.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.bookmarkTags) {
+        const renameInput = document.querySelector('#tagTable input[type="text"]');
+        if (!renameInput) loadTags();
+    }
+});
@@ -0,0 +1,205 @@
+import { levenshteinDistance } from './text-utils.js';
+
+/**
+ * Bookmark tags are stored in chrome.storage.local as `bookmarkTags`, an object mapping
+ * bookmark IDs to arrays of tag strings. A "/" nests tags: `work/infra` is inside `work`.
+ * Tags of deleted bookmarks are parked in `orphanedTags` (by URL) for a while, so they
+ * come back if the bookmark is restored.
+ *
+ * Version 1 of the format keyed tags by URL; migrateUrlKeyedTags converts it.
+ */
+export const TAGS_SCHEMA_VERSION = 2;
+
+// How long tags of a deleted bookmark are kept around for reattaching.
+export const ORPHANED_TAGS_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Merges tag lists, keeping the first occurrence of each tag.
+ * @param {...Array<string>} tagLists The lists to merge.
+ * @returns {Array<string>} The merged list.
+ */
+export function mergeTags(...tagLists) {
+    return Array.from(new Set(tagLists.flat()));
+}
+
+/**
+ * Converts URL-keyed tags (schema version 1) to bookmark-ID-keyed tags. Every bookmark
+ * with a tagged URL gets that URL's tags; tags whose URL has no bookmark become orphans.
+ * @param {object} urlKeyedTags Tag arrays by URL.
+ * @returns {Promise<{bookmarkTags: object, orphanedTags: object}>} The converted tags.
+ */
+export async function migrateUrlKeyedTags(urlKeyedTags) {
+    const bookmarkTags = {};
+    const orphanedTags = {};
+    const now = Date.now();
+
+    for (const [url, tags] of Object.entries(urlKeyedTags)) {
+        let nodes = [];
+        try {
+            nodes = await chrome.bookmarks.search({ url });
+        } catch (e) { /* Not a valid URL, so no bookmark can have it */ }
+
+        if (nodes.length === 0) {
+            orphanedTags[url] = { tags, removedAt: now };
+        }
+        for (const node of nodes) {
+            bookmarkTags[node.id] = mergeTags(bookmarkTags[node.id] || [], tags);
+        }
+    }
+    return { bookmarkTags, orphanedTags };
+}
+
+/**
+ * Drops orphaned tags that have been waiting longer than ORPHANED_TAGS_TTL. Orphaned
+ * notes expire the same way.
+ * @param {object} orphanedTags Orphan records ({tags, removedAt}, or {note, removedAt}) by URL,
+ *     updated in place.
+ * @returns {boolean} True if any record was dropped.
+ */
+export function pruneOrphanedTags(orphanedTags) {
+    let pruned = false;
+    const cutoff = Date.now() - ORPHANED_TAGS_TTL;
+    for (const [url, orphan] of Object.entries(orphanedTags)) {
+        if (orphan.removedAt < cutoff) {
+            delete orphanedTags[url];
+            pruned = true;
+        }
+    }
+    return pruned;
+}
+
+/**
+ * Counts how many bookmarks carry each tag.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @returns {Array<{tag: string, count: number}>} Every tag, most used first.
+ */
+export function collectTagCounts(bookmarkTags) {
+    const counts = new Map();
+    for (const tags of Object.values(bookmarkTags)) {
+        for (const tag of new Set(tags)) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Checks a tag name typed by the user.
+ * @param {string} tag The trimmed tag name.
+ * @returns {string|null} A readable error message, or null if the name is fine.
+ */
+export function validateTagName(tag) {
+    if (!tag) return 'The tag name is empty.';
+    if (tag.includes(',')) return 'Tag names can\'t contain commas.';
+    if (tag.split('/').some(segment => !segment)) return 'Nested tags need a name on both sides of each "/", e.g. work/infra.';
+    return null;
+}
+
+/**
+ * Rewrites every tag list in a tag map. Lists that end up empty are dropped.
+ * @param {object} tagMap Tag arrays by key.
+ * @param {function(Array<string>): Array<string>} transform Returns the new list for a list.
+ * @returns {{tagMap: object, changedCount: number}} The new map and how many lists changed.
+ */
+function transformTagLists(tagMap, transform) {
+    const result = {};
+    let changedCount = 0;
+    for (const [key, tags] of Object.entries(tagMap)) {
+        const newTags = transform(tags);
+        if (newTags.length !== tags.length || newTags.some((tag, i) => tag !== tags[i])) changedCount++;
+        if (newTags.length > 0) result[key] = newTags;
+    }
+    return { tagMap: result, changedCount };
+}
+
+/**
+ * Renames a tag, and the tags nested under it ("work/infra" when renaming "work").
+ * @param {string} tag The tag to rename.
+ * @param {Array<string>} fromTags The tags being renamed.
+ * @param {string} toTag The new name.
+ * @returns {string} The tag's new name, or the tag itself if it isn't affected.
+ */
+function renameTag(tag, fromTags, toTag) {
+    for (const fromTag of fromTags) {
+        if (tag === fromTag) return toTag;
+        if (tag.startsWith(fromTag + '/')) return toTag + tag.substring(fromTag.length);
+    }
+    return tag;
+}
+
+/**
+ * Renames tags. Renaming to a tag that already exists merges them, so renaming
+ * several tags to one name merges all of them. Nested tags move along with their parent.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @param {Array<string>} fromTags The tags to rename.
+ * @param {string} toTag The new name.
+ * @returns {{tagMap: object, changedCount: number}} The new tags and how many bookmarks changed.
+ */
+export function renameTags(bookmarkTags, fromTags, toTag) {
+    return transformTagLists(bookmarkTags, tags => mergeTags(tags.map(tag => renameTag(tag, fromTags, toTag))));
+}
+
+/**
+ * Removes tags from every bookmark.
+ * @param {object} bookmarkTags Tag arrays by bookmark ID.
+ * @param {Array<string>} deletedTags The tags to remove.
+ * @returns {{tagMap: object, changedCount: number}} The new tags and how many bookmarks changed.
+ */
+export function deleteTags(bookmarkTags, deletedTags) {
+    const deleted = new Set(deletedTags);
+    return transformTagLists(bookmarkTags, tags => tags.filter(tag => !deleted.has(tag)));
+}
+
+/**
+ * Reduces a tag to its letters and digits, so "dev-ops", "DevOps" and "dev ops" compare equal.
+ */
+function foldTag(tag) {
+    return tag.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Suggests existing tags for a partly typed one. Tags starting with the typed text come
+ * first, then tags containing it, then tags whose start is within a typo or two of it;
+ * ties go to the more used tag.
+ * @param {string} partial The text typed so far; empty suggests the most used tags.
+ * @param {Array<{tag: string, count: number}>} tagCounts The vocabulary, from collectTagCounts.
+ * @param {object} [options]
+ * @param {Array<string>} [options.exclude] Tags not to suggest, e.g. ones already entered.
+ * @param {number} [options.limit] The maximum number of suggestions.
+ * @returns {Array<{tag: string, count: number}>} The suggestions, best first.
+ */
+export function suggestTags(partial, tagCounts, options = {}) {
+    const { exclude = [], limit = 6 } = options;
+    const excluded = new Set(exclude);
+    const folded = foldTag(partial);
+
+    const ranked = [];
+    for (const entry of tagCounts) {
+        if (excluded.has(entry.tag)) continue;
+        const foldedTag = foldTag(entry.tag);
+
+        let rank;
+        let distance = 0;
+        if (foldedTag.startsWith(folded)) {
+            rank = 0;
+        } else if (foldedTag.includes(folded)) {
+            rank = 1;
+        } else if (folded.length >= 3) {
+            // Compare against starts one character shorter and longer too, for dropped or doubled letters.
+            distance = Math.min(...[-1, 0, 1].map(delta =>
+                levenshteinDistance(folded, foldedTag.substring(0, folded.length + delta))
+            ));
+            if (distance > (folded.length > 5 ? 2 : 1)) continue;
+            rank = 2;
+        } else {
+            continue;
+        }
+        ranked.push({ entry, rank, distance });
+    }
+
+    return ranked
+        .sort((a, b) => a.rank - b.rank || a.distance - b.distance || b.entry.count - a.entry.count)
+        .slice(0, limit)
+        .map(({ entry }) => entry);
+}
@@ -0,0 +1,137 @@
+/**
+ * Runs checkLink against a local HTTP stand-in instead of real sites.
+ * Run with `node --test tests/` (Node 20.19 or later, which loads the extension's
+ * ES modules without a package.json).
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { checkLink, changesSite, LINK_STATUS } from '../link-checker.js';
+
+const routes = {
+    '/ok': (req, res) => res.end('fine'),
+    '/gone': (req, res) => {
+        res.statusCode = 404;
+        res.end();
+    },
+    '/old': (req, res) => {
+        res.writeHead(301, { Location: '/new' });
+        res.end();
+    },
+    '/new': (req, res) => res.end('moved here'),
+    '/private': (req, res) => {
+        res.writeHead(302, { Location: '/users/sign_in?redirect_to=%2Fprivate' });
+        res.end();
+    },
+    '/users/sign_in': (req, res) => res.end('log in'),
+    '/no-head': (req, res) => {
+        res.statusCode = req.method === 'HEAD' ? 405 : 200;
+        res.end();
+    },
+    // Refuses HEAD, then sends a page that never ends.
+    '/endless': (req, res) => {
+        if (req.method === 'HEAD') {
+            res.statusCode = 405;
+            res.end();
+            return;
+        }
+        res.write('x'.repeat(1024));
+        req.socket.on('close', () => endlessClosed.resolve());
+    },
+    // Never answers, so the check times out.
+    '/slow': () => {}
+};
+
+let server;
+let baseUrl;
+let endlessClosed;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const route = routes[new URL(req.url, 'http://localhost').pathname];
+        if (route) route(req, res);
+        else {
+            res.statusCode = 500;
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('a page that loads is ok', async () => {
+    const result = await checkLink(`${baseUrl}/ok`);
+    assert.equal(result.status, LINK_STATUS.ok);
+    assert.equal(result.httpStatus, 200);
+});
+
+test('a 404 is broken', async () => {
+    const result = await checkLink(`${baseUrl}/gone`);
+    assert.equal(result.status, LINK_STATUS.broken);
+    assert.equal(result.httpStatus, 404);
+});
+
+test('a redirect records where the page moved', async () => {
+    const result = await checkLink(`${baseUrl}/old`);
+    assert.equal(result.status, LINK_STATUS.redirected);
+    assert.equal(result.redirectUrl, `${baseUrl}/new`);
+});
+
+test('a redirect to a login page needs sign-in, not an update', async () => {
+    const result = await checkLink(`${baseUrl}/private`);
+    assert.equal(result.status, LINK_STATUS.signIn);
+});
+
+test('a server that refuses HEAD is retried with GET', async () => {
+    const result = await checkLink(`${baseUrl}/no-head`);
+    assert.equal(result.status, LINK_STATUS.ok);
+});
+
+test('a page fetched with GET is not downloaded', async () => {
+    const closed = new Promise(resolve => {
+        endlessClosed = { resolve };
+    });
+    const result = await checkLink(`${baseUrl}/endless`);
+    assert.equal(result.status, LINK_STATUS.ok);
+    // The connection closes once the check stops reading.
+    await closed;
+});
+
+test('a server error is an error, not broken', async () => {
+    const result = await checkLink(`${baseUrl}/missing-route`);
+    assert.equal(result.status, LINK_STATUS.error);
+    assert.equal(result.httpStatus, 500);
+});
+
+test('a timeout is an error', async () => {
+    const result = await checkLink(`${baseUrl}/slow`, { timeout: 200 });
+    assert.equal(result.status, LINK_STATUS.error);
+    assert.equal(result.httpStatus, 0);
+});
+
+test('a host that refuses connections is unreachable', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const result = await checkLink(`http://127.0.0.1:${port}/`);
+    assert.equal(result.status, LINK_STATUS.unreachable);
+});
+
+test('a fetch stand-in can be passed in', async () => {
+    const fetchImpl = async url => ({ status: 200, ok: true, redirected: true, url: `${url}v2/` });
+    const result = await checkLink('https://example.com/docs/', { fetchImpl });
+    assert.equal(result.status, LINK_STATUS.redirected);
+    assert.equal(result.redirectUrl, 'https://example.com/docs/v2/');
+});
+
+test('moves to another site are told apart from moves within one', () => {
+    assert.equal(changesSite('https://example.com/a', 'https://www.example.com/b'), false);
+    assert.equal(changesSite('https://example.com/a', 'https://example.org/a'), true);
+});
@@ -0,0 +1,153 @@
+/**
+ * Small string helpers shared by search, tag suggestions and result display.
+ */
+
+/**
+ * Lower-cases text and strips accents, so "Café" and "cafe" compare equal.
+ * @param {string} text The text.
+ * @returns {string} The folded text.
+ */
+export function foldText(text) {
+    const lowerCaseText = (text || '').toLowerCase();
+    // Only text outside ASCII can carry accents.
+    if (!/[^\x00-\x7f]/.test(lowerCaseText)) return lowerCaseText;
+    return lowerCaseText.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+}
+
+/**
+ * Calculates the Levenshtein distance between two strings.
+ */
+export function levenshteinDistance(s1, s2) {
+    s1 = s1.toLowerCase();
+    s2 = s2.toLowerCase();
+    const costs = [];
+    for (let i = 0; i <= s1.length; i++) {
+        let lastValue = i;
+        for (let j = 0; j <= s2.length; j++) {
+            if (i === 0) {
+                costs[j] = j;
+            } else {
+                if (j > 0) {
+                    let newValue = costs[j - 1];
+                    if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
+                        newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
+                    }
+                    costs[j - 1] = lastValue;
+                    lastValue = newValue;
+                }
+            }
+        }
+        if (i > 0) {
+            costs[s2.length] = lastValue;
+        }
+    }
+    return costs[s2.length];
+}
+
+/**
+ * Folds text like foldText, noting where in the original text each folded character
+ * comes from, so matches found in the folded text can be marked in the original.
+ * @returns {{folded: string, starts: Array<number>, ends: Array<number>}} The folded
+ *     text, and for each of its characters the start and end of the original character.
+ */
+function foldWithOffsets(text) {
+    let folded = '';
+    const starts = [];
+    const ends = [];
+    let index = 0;
+    for (const char of text) {
+        const foldedChar = foldText(char);
+        for (let i = 0; i < foldedChar.length; i++) {
+            starts.push(index);
+            ends.push(index + char.length);
+        }
+        folded += foldedChar;
+        index += char.length;
+    }
+    return { folded, starts, ends };
+}
+
+/**
+ * Finds where any of the given words appear in a text, compared the way search
+ * compares them: without regard to case or accents.
+ * @param {string} text The text.
+ * @param {Array<string>} words The words to find.
+ * @returns {Array<Array<number>>} The [start, end) range of each match in the text.
+ */
+export function findWordRanges(text, words) {
+    const searchWords = [...new Set(words.map(foldText).filter(Boolean))];
+    if (!text || searchWords.length === 0) return [];
+    const { folded, starts, ends } = foldWithOffsets(text);
+    const ranges = [];
+    for (const word of searchWords) {
+        for (let index = folded.indexOf(word); index !== -1; index = folded.indexOf(word, index + 1)) {
+            ranges.push([starts[index], ends[index + word.length - 1]]);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Splits text into the parts the given ranges cover and the parts between them.
+ * Overlapping and touching ranges become a single part.
+ * @param {string} text The text.
+ * @param {Array<Array<number>>} ranges [start, end) ranges in the text, in any order.
+ * @returns {Array<{text: string, isMatch: boolean}>} The parts, in order.
+ */
+export function splitRanges(text, ranges) {
+    const parts = [];
+    let position = 0;
+    for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+        if (end <= position) continue;
+        const lastPart = parts[parts.length - 1];
+        if (start > position) {
+            parts.push({ text: text.substring(position, start), isMatch: false });
+            parts.push({ text: text.substring(start, end), isMatch: true });
+        } else if (lastPart && lastPart.isMatch) {
+            lastPart.text += text.substring(position, end);
+        } else {
+            parts.push({ text: text.substring(position, end), isMatch: true });
+        }
+        position = end;
+    }
+    if (position < text.length || parts.length === 0) parts.push({ text: text.substring(position), isMatch: false });
+    return parts;
+}
+
+/**
+ * Cuts a short excerpt out of a longer text, around the first of the given words, and
+ * splits it into parts so the words can be highlighted. Runs of whitespace, including
+ * line breaks, become single spaces.
+ * @param {string} text The text, e.g. a bookmark's note.
+ * @param {Array<string>} words The words to find, in any case and with or without accents.
+ * @param {number} [length] The excerpt's length, give or take a word.
+ * @returns {Array<{text: string, isMatch: boolean}>} The excerpt's parts, in order, with
+ *     "…" added where text was cut off. Without a match, the excerpt is the text's start.
+ */
+export function getSnippet(text, words, length = 100) {
+    const flatText = text.replace(/\s+/g, ' ').trim();
+    const ranges = findWordRanges(flatText, words).sort((a, b) => a[0] - b[0]);
+
+    let start = 0;
+    const firstMatch = ranges[0];
+    if (firstMatch && firstMatch[1] > length) {
+        // Show a little of what comes before the match, starting at a word.
+        start = flatText.indexOf(' ', Math.max(0, firstMatch[0] - Math.floor(length / 4))) + 1;
+        if (start > firstMatch[0]) start = firstMatch[0];
+    }
+    let end = start + length;
+    if (end < flatText.length) {
+        const lastSpace = flatText.lastIndexOf(' ', end);
+        if (lastSpace > start + length / 2) end = lastSpace;
+    } else {
+        end = flatText.length;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const excerpt = prefix + flatText.substring(start, end) + (end < flatText.length ? '…' : '');
+    const excerptRanges = ranges
+        .map(([matchStart, matchEnd]) => [Math.max(matchStart, start), Math.min(matchEnd, end)])
+        .filter(([matchStart, matchEnd]) => matchEnd > matchStart)
+        .map(([matchStart, matchEnd]) => [matchStart - start + prefix.length, matchEnd - start + prefix.length]);
+    return splitRanges(excerpt, excerptRanges);
+}
@@ -0,0 +1,59 @@
+/**
+ * URL normalisation for spotting bookmarks that point at the same page under
+ * slightly different addresses.
+ */
+
+// Query parameters that only track where a click came from.
+const TRACKING_PARAMS = new Set([
+    'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'igshid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', 'ref_src', 'ref_url'
+]);
+
+function isTrackingParam(name) {
+    const lowerCaseName = name.toLowerCase();
+    return lowerCaseName.startsWith('utm_') || TRACKING_PARAMS.has(lowerCaseName);
+}
+
+/**
+ * Reduces a URL to a key that's the same for addresses of the same page. Ignores:
+ * http vs https, a leading "www.", a trailing slash, tracking parameters such as
+ * utm_*, the order of query parameters, and fragments (except "#/" and "#!" routes,
+ * which single-page apps use as paths).
+ * @param {string} url The URL.
+ * @returns {string} The key. URLs that aren't http(s), or can't be parsed, are returned as given.
+ */
+export function normalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return url;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+
+    const host = parsed.host.replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    const params = [...parsed.searchParams]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const query = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+    const fragment = /^#[/!]/.test(parsed.hash) ? parsed.hash : '';
+    return host + path + query + fragment;
+}
+
+/**
+ * Groups bookmarks whose URLs normalise to the same key.
+ * @param {Array<{url: string}>} bookmarks The cached bookmarks.
+ * @returns {Array<{key: string, bookmarks: Array}>} Groups of two or more bookmarks, largest first.
+ */
+export function findDuplicateGroups(bookmarks) {
+    const groups = new Map();
+    for (const bookmark of bookmarks) {
+        const key = normalizeUrl(bookmark.url);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(bookmark);
+    }
+    return Array.from(groups, ([key, groupBookmarks]) => ({ key, bookmarks: groupBookmarks }))
+        .filter(group => group.bookmarks.length > 1)
+        .sort((a, b) => b.bookmarks.length - a.bookmarks.length || a.key.localeCompare(b.key));
+}